@@ -12,43 +12,173 @@
  *   node app.js --restore ZIPFILE  # Restore from backup
  */
 
+const crypto = require("crypto");
 const fs = require("fs").promises;
 const fsSync = require("fs");
 const path = require("path");
+const { once } = require("events");
+const { Transform } = require("stream");
+const { pipeline } = require("stream/promises");
+const {
+  loadConfig,
+  getArgValue,
+  parseAge,
+  CLI_OPTIONS,
+  CLI_SWITCHES,
+} = require("./lib/config");
+const {
+  toPosix,
+  matchesGlob,
+  matchesPathOrName,
+  matchesGlobPrefix,
+} = require("./lib/glob");
+const { createLimiter } = require("./lib/pool");
+const {
+  loadAttachmentDatabase,
+  getMetadataFiles,
+} = require("./lib/attachments");
+const { loadReferences } = require("./lib/references");
+const {
+  loadRegisteredSizes,
+  findRegisteredSize,
+} = require("./lib/image-sizes");
+const { createRuleSet, matchRule, expandParents } = require("./lib/rules");
+const {
+  PLAN_KEY_ENV,
+  createPlan,
+  readPlan,
+  checkPlanEntry,
+} = require("./lib/plan");
+const { InteractiveReview } = require("./lib/review");
+const {
+  readDeleteLog,
+  isValidMonth,
+  createRestoreFilter,
+} = require("./lib/restore");
+const { startDashboard } = require("./lib/dashboard");
+const {
+  readIndex,
+  writeIndex,
+  moveFile,
+  removeEmptyDirs,
+  getQuarantinePath,
+} = require("./lib/quarantine");
+const {
+  MANIFEST_ENTRY,
+  openBackup,
+  verifyBackup,
+  describeBackup,
+} = require("./lib/backup");
 
-// Configuration
-const UPLOADS_PATH = "../wp-content/uploads";
-const BACKUP_PREFIX = "wp-oic";
-const LOGS_DIR = "./logs";
-
-// Image size patterns (based on your WordPress analysis)
-// All patterns extract the ROOT parent name (original file) for proper orphan detection
-const SIZE_PATTERNS = [
-  // SIZE VARIANTS (with dimensions) - look for original parent
-  /^(.+)-(\d+)x(\d+)(\.(jpg|jpeg|png|gif|webp))$/i, // Standard: image-300x200.jpg
-  /^(.+)-scaled-(\d+)x(\d+)(\.(jpg|jpeg|png|gif|webp))$/i, // Scaled: image-scaled-300x200.jpg → looks for image.jpg
-  /^(.+)-e\d+-(\d+)x(\d+)(\.(jpg|jpeg|png|gif|webp))$/i, // Edited: image-e1234567890-300x200.jpg
-  /^(.+)-scaled-e\d+-(\d+)x(\d+)(\.(jpg|jpeg|png|gif|webp))$/i, // Scaled+Edited: image-scaled-e1234567890-300x200.jpg → looks for image.jpg
-  /^(.+)-(\d+)x(\d+)(\.(jpg|jpeg|png|gif)\.webp)$/i, // WebP copies: image-300x200.jpg.webp
-  /^(.+)-scaled-(\d+)x(\d+)(\.(jpg|jpeg|png|gif)\.webp)$/i, // WebP scaled: image-scaled-300x200.jpg.webp → looks for image.jpg
-  /^(.+)-e\d+-(\d+)x(\d+)(\.(jpg|jpeg|png|gif)\.webp)$/i, // WebP edited: image-e1234567890-300x200.jpg.webp
-  /^(.+)-scaled-e\d+-(\d+)x(\d+)(\.(jpg|jpeg|png|gif)\.webp)$/i, // WebP scaled+edited: image-scaled-e1234567890-300x200.jpg.webp → looks for image.jpg
-];
+// Flags that take a value (the following argument is not a flag)
+const VALUE_FLAGS = Object.keys(CLI_OPTIONS);
+
+// Flags that pick the files a --restore puts back
+const RESTORE_FILTER_FLAGS = ["--only", "--month", "--base-name", "--from-csv"];
+
+// Originals a replaced-extension copy (image.webp) can be made from
+const NEXTGEN_SOURCE_EXTENSIONS = ["jpg", "jpeg", "jpe", "png", "gif"];
+
+// Preview stem (after sizes are stripped): document name and document extension
+const PREVIEW_STEM = /^(.+)-(pdf|mp4)(?:-\d+)?$/i;
+
+// Parent extensions to look for, by variant extension (compared lower-case)
+// WebP/AVIF sizes (image-300x200.webp) can also come from JPEG and PNG originals
+// when WordPress is set up to output WebP (image_editor_output_format)
+const EXTENSION_ALIASES = {
+  jpg: ["jpg", "jpeg", "jpe"],
+  jpeg: ["jpeg", "jpg", "jpe"],
+  jpe: ["jpe", "jpg", "jpeg"],
+  webp: ["webp", "jpg", "jpeg", "jpe", "png"],
+  avif: ["avif", "jpg", "jpeg", "jpe", "png"],
+};
+
+// CSV operation logged for each category of removable file
+const CATEGORY_OPERATIONS = {
+  orphan: "ORPHAN_FOUND",
+  "stale size": "STALE_SIZE_FOUND",
+  "unattached original": "UNATTACHED_ORIGINAL_FOUND",
+};
+
+// Attachment ids per wp media regenerate command in --regenerate-script
+const REGENERATE_BATCH_SIZE = 50;
+
+// Files never treated as unattached originals (dotfiles, directory index files)
+const UNATTACHED_IGNORE = /^(\.|index\.(php|html?)$)/i;
 
-// PARENT FILE patterns - files that should have original parents but might be orphaned
-const PARENT_PATTERNS = [
-  /^(.+)-scaled(\.(jpg|jpeg|png|gif|webp))$/i, // Scaled parents: image-scaled.jpg → looks for image.jpg
-  /^(.+)-scaled(\.(jpg|jpeg|png|gif)\.webp)$/i, // WebP of scaled parents: image-scaled.jpg.webp → looks for image.jpg
-  /^(.+)-e\d+(\.(jpg|jpeg|png|gif|webp))$/i, // Edited parents: image-e1234567890.jpg → looks for image.jpg
-  /^(.+)-e\d+(\.(jpg|jpeg|png|gif)\.webp)$/i, // WebP of edited parents: image-e1234567890.jpg.webp → looks for image.jpg
-  /^(.+)-scaled-e\d+(\.(jpg|jpeg|png|gif|webp))$/i, // Scaled+edited parents: image-scaled-e1234567890.jpg → looks for image.jpg
-  /^(.+)-scaled-e\d+(\.(jpg|jpeg|png|gif)\.webp)$/i, // WebP of scaled+edited parents: image-scaled-e1234567890.jpg.webp → looks for image.jpg
+// Uploads that can be attachment files (images, documents, audio, video)
+const MEDIA_FILE =
+  /\.(jpe?g|jpe|png|gif|webp|avif|heic|bmp|tiff?|ico|svg|pdf|docx?|pptx?|ppsx?|odt|ods|odp|xlsx?|key|psd|mp3|m4a|ogg|oga|wav|flac|mp4|m4v|mov|wmv|avi|mpe?g|ogv|3gp|3g2|webm)$/i;
+
+// Month folders originals are compared in (YYYY/MM, sites/<id>/YYYY/MM)
+const MONTH_FOLDER = /^(?:sites\/\d+\/)?\d{4}\/\d{2}$/;
+
+// Plugin-owned and tool-owned folders that are never scanned (globs relative to the uploads root)
+const BUILTIN_EXCLUDES = [
+  "woocommerce_uploads",
+  "wc-logs",
+  "elementor",
+  "cache",
+  "wpforms",
+  "gravity_forms",
+  "et-cache",
+  "wp-oic-*", // Backup directories created by this tool
+  "restore-temp-*", // Temporary restore extraction directories
 ];
 
+/**
+ * Check if a path is inside (or equal to) a directory
+ */
+function isInside(dir, parent) {
+  const relative = path.relative(parent, dir);
+  return !relative.startsWith("..") && !path.isAbsolute(relative);
+}
+
 class OrphanedImageCleaner {
-  constructor() {
+  constructor(config) {
+    this.config = config;
+    this.uploadsPath = config.uploads;
+    this.logsDir = config.logs;
+    this.backupDir = config.backupDir;
+    // Older versions wrote backups into the uploads directory
+    this.legacyBackupDir = config.uploads;
+    this.backupPrefix = config.backupPrefix;
+    this.quarantineDir = config.quarantineDir;
+    this.multisite = config.multisite;
+    this.siteFilter = config.site;
+    this.layout = config.layout;
+    this.concurrency = config.concurrency;
+    this.aggressiveParents = config.aggressiveParents;
+    this.dbDumpPath = config.dbDump;
+    this.tablePrefix = config.tablePrefix;
+    this.referencesPath = config.references;
+    this.staleSizes = config.staleSizes;
+    this.orphanedOriginals = config.orphanedOriginals;
+    this.sizesSource = config.sizes;
+    this.regenerateScript = config.regenerateScript;
+    this.planOutPath = config.planOut;
+    this.planPath = config.plan;
+    this.host = config.host;
+    this.port = config.port;
+    this.registeredSizes = null;
+    this.rules = createRuleSet(config.rules);
+    this.excludes = [
+      ...BUILTIN_EXCLUDES,
+      `${this.backupPrefix}-*`,
+      ...config.exclude,
+    ];
+
     this.orphanedFiles = [];
+    this.protectedFiles = [];
+    this.metadataFiles = [];
+    this.referencedFiles = [];
+    this.missingAttachments = [];
+    this.directoryListings = null;
+    this.database = null;
+    this.references = null;
     this.totalScanned = 0;
+    this.directoriesScanned = 0;
+    this.scanDurationMs = 0;
     this.totalSize = 0;
     this.backupPath = "";
     this.logPath = "";
@@ -60,6 +190,29 @@ class OrphanedImageCleaner {
     this.shouldClean = args.includes("--clean");
     this.shouldRestore = args.includes("--restore");
     this.deleteBackups = args.includes("--delete");
+    this.isBenchmark = args.includes("--benchmark");
+    this.isMissingReport = args.includes("--missing");
+    this.isExplain = args.includes("--explain");
+    this.isInteractive = args.includes("--interactive");
+    this.isServe = args.includes("--serve");
+    this.isQuarantine = args.includes("--quarantine");
+    this.isPurgeQuarantine = args.includes("--purge-quarantine");
+    this.isRelease = args.includes("--release");
+    this.isVerifyBackup = args.includes("--verify-backup");
+    this.verifyBackupName = getArgValue(args, "--verify-backup");
+    this.isListBackups = args.includes("--list-backups");
+    this.isInspectBackup = args.includes("--inspect-backup");
+    this.inspectBackupName = getArgValue(args, "--inspect-backup");
+    this.isPruneBackups = args.includes("--prune-backups");
+    this.isMigrateBackups = args.includes("--migrate-backups");
+    this.keepBackups = getArgValue(args, "--keep");
+    this.releasePattern = getArgValue(args, "--release");
+    this.olderThan = getArgValue(args, "--older-than");
+    this.explainTarget = this.isExplain ? getArgValue(args, "--explain") : null;
+    this.restoreOnly = getArgValue(args, "--only");
+    this.restoreMonth = getArgValue(args, "--month");
+    this.restoreBaseName = getArgValue(args, "--base-name");
+    this.restoreFromCsv = getArgValue(args, "--from-csv");
 
     // Parse restore file (only if next arg exists and doesn't start with --)
     this.restoreFile = null;
@@ -81,15 +234,29 @@ class OrphanedImageCleaner {
       .replace(/[:.]/g, "-")
       .slice(0, 19);
 
-    this.logPath = path.join(LOGS_DIR, `${BACKUP_PREFIX}-${timestamp}.csv`);
-
     // Create logs directory if it doesn't exist
-    await fs.mkdir(LOGS_DIR, { recursive: true });
+    await fs.mkdir(this.logsDir, { recursive: true });
 
     // CSV header
     const header =
-      "timestamp,operation,file_path,file_size_bytes,file_size_formatted,dimensions,base_name,status,error_message\n";
-    await fs.writeFile(this.logPath, header);
+      "timestamp,operation,file_path,file_size_bytes,file_size_formatted,dimensions,base_name,status,error_message,blog_id\n";
+
+    // Runs started in the same second get a numbered log (-1, -2, ...) -
+    // an existing log, e.g. the delete log --from-csv reads, is never replaced
+    for (let attempt = 0; ; attempt++) {
+      this.logPath = path.join(
+        this.logsDir,
+        `${this.backupPrefix}-${timestamp}${
+          attempt > 0 ? `-${attempt}` : ""
+        }.csv`
+      );
+      try {
+        await fs.writeFile(this.logPath, header, { flag: "wx" });
+        break;
+      } catch (error) {
+        if (error.code !== "EEXIST") throw error;
+      }
+    }
 
     console.log(`📝 Logging to: ${this.logPath}`);
   }
@@ -104,7 +271,8 @@ class OrphanedImageCleaner {
     dimensions = "",
     baseName = "",
     status = "",
-    errorMessage = ""
+    errorMessage = "",
+    blogId = ""
   ) {
     const timestamp = new Date().toISOString();
     const formattedSize = fileSize > 0 ? this.formatBytes(fileSize) : "";
@@ -120,6 +288,7 @@ class OrphanedImageCleaner {
         baseName,
         status,
         errorMessage,
+        blogId ?? "",
       ]
         .map((field) => `"${String(field).replace(/"/g, '""')}"`)
         .join(",") + "\n";
@@ -139,10 +308,44 @@ class OrphanedImageCleaner {
     }
 
     // Validate that only recognized flags are provided
-    const validFlags = ["--dry-run", "--clean", "--restore", "--delete"];
+    const validFlags = [
+      "--dry-run",
+      "--clean",
+      "--restore",
+      "--delete",
+      "--benchmark",
+      "--missing",
+      "--explain",
+      "--interactive",
+      "--serve",
+      "--quarantine",
+      "--purge-quarantine",
+      "--release",
+      "--older-than",
+      "--verify-backup",
+      "--list-backups",
+      "--inspect-backup",
+      "--prune-backups",
+      "--migrate-backups",
+      "--keep",
+      ...RESTORE_FILTER_FLAGS,
+      ...VALUE_FLAGS,
+      ...Object.keys(CLI_SWITCHES),
+    ];
     const invalidFlags = args.filter((arg, index) => {
-      // Skip filename after --restore
-      if (index > 0 && args[index - 1] === "--restore") {
+      // Skip filename after --restore and values after value flags
+      const previous = args[index - 1];
+      if (
+        previous === "--restore" ||
+        previous === "--explain" ||
+        previous === "--release" ||
+        previous === "--older-than" ||
+        previous === "--verify-backup" ||
+        previous === "--inspect-backup" ||
+        previous === "--keep" ||
+        RESTORE_FILTER_FLAGS.includes(previous) ||
+        VALUE_FLAGS.includes(previous)
+      ) {
         return false;
       }
       // Check if it's a flag (starts with --) and not in valid list
@@ -157,11 +360,47 @@ class OrphanedImageCleaner {
     }
 
     // Validate that at least one action flag is provided
-    if (!this.isDryRun && !this.shouldClean && !this.shouldRestore) {
+    if (
+      !this.isDryRun &&
+      !this.shouldClean &&
+      !this.shouldRestore &&
+      !this.isBenchmark &&
+      !this.isMissingReport &&
+      !this.isExplain &&
+      !this.isInteractive &&
+      !this.isServe &&
+      !this.isQuarantine &&
+      !this.isPurgeQuarantine &&
+      !this.isRelease &&
+      !this.isVerifyBackup &&
+      !this.isListBackups &&
+      !this.isInspectBackup &&
+      !this.isPruneBackups &&
+      !this.isMigrateBackups
+    ) {
       console.log("❌ No action specified. Please provide an action flag:");
       console.log("   --dry-run    (scan only)");
       console.log("   --clean      (delete with backup)");
-      console.log("   --restore    (restore from backup)\n");
+      console.log("   --restore    (restore from backup)");
+      console.log("   --benchmark  (measure scan speed)");
+      console.log("   --missing    (report attachment files missing on disk)");
+      console.log("   --explain    (trace the decision for one file)");
+      console.log("   --interactive (review and pick files in the terminal)");
+      console.log(
+        "   --serve      (browse and clean up in a local web dashboard)"
+      );
+      console.log("   --quarantine (move orphans aside instead of deleting)");
+      console.log("   --purge-quarantine (delete old quarantined files)");
+      console.log("   --release    (move quarantined files back)");
+      console.log(
+        "   --verify-backup (check a backup ZIP against its manifest)"
+      );
+      console.log("   --list-backups (list backup ZIPs)");
+      console.log("   --inspect-backup (list the files in a backup ZIP)");
+      console.log("   --prune-backups (delete old backup ZIPs)");
+      console.log(
+        "   --migrate-backups (move backups out of the uploads directory)\n"
+      );
       this.showHelp();
       return;
     }
@@ -175,11 +414,28 @@ class OrphanedImageCleaner {
     if (this.shouldClean) activeFlags.push("--clean");
     if (this.shouldRestore) activeFlags.push("--restore");
     if (this.deleteBackups) activeFlags.push("--delete");
+    if (this.isBenchmark) activeFlags.push("--benchmark");
+    if (this.isMissingReport) activeFlags.push("--missing");
+    if (this.isExplain) activeFlags.push("--explain");
+    if (this.isInteractive) activeFlags.push("--interactive");
+    if (this.isServe) activeFlags.push("--serve");
+    if (this.isQuarantine) activeFlags.push("--quarantine");
+    if (this.isPurgeQuarantine) activeFlags.push("--purge-quarantine");
+    if (this.isRelease) activeFlags.push("--release");
+    if (this.isVerifyBackup) activeFlags.push("--verify-backup");
+    if (this.isListBackups) activeFlags.push("--list-backups");
+    if (this.isInspectBackup) activeFlags.push("--inspect-backup");
+    if (this.isPruneBackups) activeFlags.push("--prune-backups");
+    if (this.isMigrateBackups) activeFlags.push("--migrate-backups");
 
     if (activeFlags.length > 0) {
       console.log(`🔧 Options detected: ${activeFlags.join(" ")}`);
 
-      if (this.shouldRestore) {
+      if (this.shouldRestore && this.isDryRun) {
+        console.log(
+          `👁️  Restore preview: Files that would be restored are listed, nothing is written`
+        );
+      } else if (this.shouldRestore) {
         console.log(`🔄 Restore mode: Files will be restored from backup ZIP`);
         if (this.deleteBackups) {
           console.log(
@@ -190,29 +446,218 @@ class OrphanedImageCleaner {
             `💾 Backup preservation: ZIP file will be kept after restore (default)`
           );
         }
+      } else if (this.isBenchmark) {
+        console.log(`⏱️  Benchmark mode: Scan speed will be measured`);
+      } else if (this.isExplain) {
+        console.log(
+          `🔎 Explain mode: The decision for one file will be traced, nothing is deleted`
+        );
+      } else if (this.isListBackups || this.isInspectBackup) {
+        console.log(`📦 Backup listing: Nothing is changed`);
+      } else if (this.isMigrateBackups) {
+        console.log(
+          `🚚 Migrate mode: Backups in the uploads directory will be moved to the backup directory`
+        );
+      } else if (this.isPruneBackups) {
+        console.log(
+          `🧹 Prune mode: Backup ZIPs outside the retention will be deleted`
+        );
+      } else if (this.isVerifyBackup) {
+        console.log(
+          `🔎 Verify mode: A backup ZIP will be checked against its manifest`
+        );
+      } else if (this.isPurgeQuarantine) {
+        console.log(
+          `🔥 Purge mode: Quarantined files older than ${this.olderThan} will be deleted for good`
+        );
+      } else if (this.isRelease) {
+        console.log(
+          `↩️  Release mode: Quarantined files matching ${this.releasePattern} will be moved back`
+        );
+      } else if (this.isQuarantine) {
+        console.log(
+          `🚧 Quarantine mode: Orphaned files will be moved to the quarantine directory`
+        );
+      } else if (this.isServe) {
+        console.log(
+          `🌐 Dashboard mode: Results are served to a local web dashboard`
+        );
+      } else if (this.isInteractive) {
+        console.log(
+          `🎛️  Interactive mode: Review the results and pick what to delete or plan`
+        );
+      } else if (this.isMissingReport) {
+        console.log(
+          `🧩 Missing files mode: Attachment files missing on disk will be reported`
+        );
       } else if (this.isDryRun) {
         console.log(`👁️  Preview mode: Files will be scanned but not deleted`);
       } else if (this.shouldClean) {
         console.log(
           `🗑️  Clean mode: Orphaned files will be deleted with backup`
         );
+        console.log(
+          `💾 Backup: Files are streamed into a ZIP that is kept after deletion`
+        );
         if (this.deleteBackups) {
           console.log(
-            `🧹 Backup cleanup: Temporary backup directory will be cleaned up`
-          );
-        } else {
-          console.log(
-            `💾 Backup preservation: Backup directory and ZIP will be kept (default)`
+            `ℹ️  --delete has nothing to clean up: backups no longer use a temporary directory`
           );
         }
       }
       console.log(""); // Add blank line
     }
 
+    if (this.config.configFile) {
+      console.log(`⚙️  Config file: ${this.config.configFile}`);
+    }
+    console.log(`📁 Uploads directory: ${this.uploadsPath}`);
+    console.log(
+      `🗂️  Layout: ${
+        Array.isArray(this.layout) ? this.layout.join(", ") : this.layout
+      }`
+    );
+    if (this.multisite) {
+      console.log(
+        `🌐 Multisite mode: ${
+          this.siteFilter !== null
+            ? `site ${this.siteFilter} only`
+            : "all sites under sites/<blog_id>"
+        }`
+      );
+    }
+    const usesQuarantine =
+      this.isQuarantine || this.isPurgeQuarantine || this.isRelease;
+    if (usesQuarantine) {
+      console.log(`🚧 Quarantine directory: ${this.quarantineDir}\n`);
+    } else {
+      console.log(`💾 Backup directory: ${this.backupDir}\n`);
+    }
+
+    if (usesQuarantine) {
+      this.checkQuarantineDir();
+    } else {
+      this.checkBackupDir();
+    }
+    if (this.isQuarantine && this.shouldClean) {
+      throw new Error("Use either --clean (delete) or --quarantine (move)");
+    }
+    if (this.isPurgeQuarantine && parseAge(this.olderThan) === null) {
+      throw new Error(
+        "--purge-quarantine needs --older-than <age>, e.g. 30d, 12h or 2w (0d purges everything)"
+      );
+    }
+    if (
+      this.isPruneBackups &&
+      this.keepBackups === null &&
+      this.olderThan === null
+    ) {
+      throw new Error(
+        "--prune-backups needs --keep <n> and/or --older-than <age>, e.g. --keep 5 or --older-than 90d"
+      );
+    }
+    if (this.keepBackups !== null && !/^\d+$/.test(this.keepBackups)) {
+      throw new Error(
+        `Invalid --keep: ${this.keepBackups} (expected a number of backups)`
+      );
+    }
+    if (
+      this.isPruneBackups &&
+      this.olderThan !== null &&
+      parseAge(this.olderThan) === null
+    ) {
+      throw new Error(
+        `Invalid --older-than: ${this.olderThan} (expected e.g. 90d, 12h or 2w)`
+      );
+    }
+    const restoreFilters = RESTORE_FILTER_FLAGS.filter((flag) =>
+      args.includes(flag)
+    );
+    if (restoreFilters.length > 0 && !this.shouldRestore) {
+      throw new Error(
+        `${restoreFilters.join(", ")} can only be used with --restore`
+      );
+    }
+    for (const flag of restoreFilters) {
+      if (getArgValue(args, flag) === null) {
+        throw new Error(`${flag} needs a value`);
+      }
+    }
+    if (this.restoreMonth !== null) {
+      this.restoreMonth = this.restoreMonth.replace(/\/+$/, "");
+      if (!isValidMonth(this.restoreMonth)) {
+        throw new Error(
+          `Invalid --month: ${this.restoreMonth} (expected e.g. 2021/04 or sites/2/2021/04)`
+        );
+      }
+    }
+    // The rest of the backup would be lost with the ZIP
+    if (restoreFilters.length > 0 && this.deleteBackups && !this.isDryRun) {
+      throw new Error(
+        "--delete can't be used with a filtered restore - the ZIP still holds the files that were not restored"
+      );
+    }
+    if (this.isRelease && !this.releasePattern) {
+      throw new Error(
+        '--release needs a pattern, e.g. "2021/04/hero-*" or "hero-*.jpg"'
+      );
+    }
+
     await this.initializeLogging();
 
+    if (this.isMigrateBackups) {
+      await this.migrateBackups();
+      return;
+    }
+    if (this.isListBackups) {
+      await this.showBackups();
+      return;
+    }
+    if (this.isInspectBackup) {
+      const backupFileName =
+        this.inspectBackupName || (await this.findLatestBackup());
+      if (!backupFileName) {
+        console.log("❌ No backup files found to inspect");
+        return;
+      }
+      await this.inspectBackup(backupFileName);
+      return;
+    }
+    if (this.isPruneBackups) {
+      await this.pruneBackups(
+        this.keepBackups !== null ? Number(this.keepBackups) : null,
+        this.olderThan !== null ? parseAge(this.olderThan) : null
+      );
+      return;
+    }
+
+    if (this.isVerifyBackup) {
+      const backupFileName =
+        this.verifyBackupName || (await this.findLatestBackup());
+      if (!backupFileName) {
+        console.log("❌ No backup files found to verify");
+        return;
+      }
+      await this.verifyBackupFile(backupFileName);
+      return;
+    }
+
+    if (this.isPurgeQuarantine) {
+      await this.purgeQuarantine(parseAge(this.olderThan));
+      return;
+    }
+    if (this.isRelease) {
+      await this.releaseFromQuarantine(this.releasePattern);
+      return;
+    }
+
     if (this.shouldRestore) {
-      if (!this.restoreFile) {
+      const { filter, backup } = await this.getRestoreSelection();
+      const restoreOptions = { filter, dryRun: this.isDryRun };
+      if (backup) {
+        // --from-csv restores from the backup its run made
+        await this.restoreFromBackup(backup, restoreOptions);
+      } else if (!this.restoreFile) {
         // Auto-find latest backup if no file specified
         const latestBackup = await this.findLatestBackup();
         if (!latestBackup) {
@@ -224,18 +669,88 @@ class OrphanedImageCleaner {
           return;
         }
         console.log(`🔍 Auto-detected latest backup: ${latestBackup}`);
-        await this.restoreFromBackup(latestBackup);
+        await this.restoreFromBackup(latestBackup, restoreOptions);
       } else {
-        await this.restoreFromBackup(this.restoreFile);
+        await this.restoreFromBackup(this.restoreFile, restoreOptions);
+      }
+      return;
+    }
+
+    if (this.dbDumpPath) {
+      await this.loadDatabase();
+    }
+    if (this.referencesPath) {
+      await this.loadReferenceIndex();
+    }
+    if (this.staleSizes) {
+      await this.loadSizes();
+    }
+    if (this.orphanedOriginals && !this.database) {
+      throw new Error(
+        "--orphaned-originals needs --db-dump <file.sql> to know which files have an attachment"
+      );
+    }
+    if (this.isMissingReport) {
+      if (!this.database) {
+        throw new Error(
+          "--missing needs --db-dump <file.sql> to read attachment metadata"
+        );
+      }
+      // Keep the scanned directory listings to check files against
+      this.directoryListings = new Map();
+    }
+
+    if (this.planOutPath && !this.isDryRun && !this.isInteractive) {
+      throw new Error("--plan-out is written by --dry-run or --interactive");
+    }
+    if (this.isInteractive && !(process.stdin.isTTY && process.stdout.isTTY)) {
+      throw new Error(
+        "--interactive needs a terminal - use --dry-run --plan-out to review in a file instead"
+      );
+    }
+    if (this.planPath && !this.shouldClean && !this.isQuarantine) {
+      throw new Error("--plan is executed by --clean or --quarantine");
+    }
+
+    if (this.isExplain) {
+      if (!this.explainTarget) {
+        throw new Error(
+          "--explain needs a file path relative to the uploads directory, e.g. 2021/03/photo-300x200.jpg"
+        );
       }
+      await this.explainFile(this.explainTarget);
       return;
     }
 
     console.log(`📊 Scanning for orphaned images...`);
     await this.scanForOrphans();
 
+    if (this.isMissingReport) {
+      await this.findMissingFiles();
+      await this.displayMissingReport();
+      return;
+    }
+
+    if (this.isBenchmark) {
+      await this.showBenchmark();
+      return;
+    }
+
+    if (this.planPath) {
+      await this.applyPlan();
+    }
+
+    if (this.isServe) {
+      await this.serveDashboard();
+      return;
+    }
+
     if (this.orphanedFiles.length === 0) {
-      console.log("✅ No orphaned images found!");
+      console.log(
+        this.planPath
+          ? "✅ No planned files left to delete!"
+          : "✅ No orphaned images found!"
+      );
       await this.logToCsv(
         "SCAN_COMPLETE",
         "",
@@ -245,12 +760,23 @@ class OrphanedImageCleaner {
         "SUCCESS",
         "No orphaned files found"
       );
+      if (this.planOutPath && !this.isInteractive) {
+        await this.writePlan();
+      }
+      return;
+    }
+
+    if (this.isInteractive) {
+      await this.reviewInteractively();
       return;
     }
 
     this.displayResults(this.isDryRun);
 
     if (this.isDryRun) {
+      if (this.planOutPath) {
+        await this.writePlan();
+      }
       console.log(
         "\n🔍 This was a dry run. Use --delete to actually delete files."
       );
@@ -265,6 +791,8 @@ class OrphanedImageCleaner {
           this.orphanedFiles.length
         } orphaned files totaling ${this.formatBytes(this.totalSize)}`
       );
+    } else if (this.isQuarantine) {
+      await this.quarantineFiles();
     } else if (this.shouldClean) {
       await this.deleteWithBackup();
     }
@@ -285,11 +813,52 @@ USAGE:
   node app.js [options]
 
 OPTIONS:
-  --help           Show this help message
-  --dry-run        Scan and report orphaned files without deleting them
-  --clean          Delete orphaned files with backup (keeps backup files by default)
-  --delete         Delete backup files after operations (use with --clean or --restore)
-  --restore [zip]  Restore files from backup ZIP file (auto-detects latest if no file specified)
+  --help              Show this help message
+  --dry-run           Scan and report orphaned files without deleting them
+  --clean             Delete orphaned files with backup (keeps backup files by default)
+  --interactive       Review the results in the terminal and pick what to delete (or save as a plan)
+  --serve             Browse the results in a local web dashboard with thumbnails, delete or restore from there
+  --port <n>          Port for --serve (default: 8080)
+  --host <address>    Address for --serve to listen on (default: 127.0.0.1)
+  --delete            Delete the backup ZIP after a restore (use with --restore, not with filters)
+  --benchmark         Scan without deleting and report scan speed (files per second)
+  --missing           Report attachments whose main file, original_image or sizes are missing (needs --db-dump)
+  --regenerate-script <file>  With --missing, write wp media regenerate commands to a shell script
+  --concurrency <n>   Number of directories scanned in parallel (default: 4)
+  --aggressive-parents  Also delete -scaled/edited main files whose original is missing
+  --db-dump <file>    Cross-check candidates against attachment metadata in a SQL dump
+  --table-prefix <p>  Database table prefix (default: auto-detect, e.g. wp_)
+  --references <path> Keep files referenced in content (SQL dump or exported content directory)
+  --stale-sizes       Also flag size variants whose WxH no registered image size produces
+  --sizes <file|url>  Registered sizes for --stale-sizes (JSON file or site URL to sample the REST API)
+  --orphaned-originals  Also flag uploads no attachment points to, with all their variants (needs --db-dump)
+  --rules <file>      Extra variant rules from a JSON file or JS plugin module (checked before the built-in rules)
+  --restore [zip]     Restore files from backup ZIP file (auto-detects latest if no file specified)
+                      With --dry-run, only lists what would be restored. Filters (combined):
+  --only <glob>       Restore matching paths, or file names if there is no slash (e.g. "hero-*.jpg")
+  --month <YYYY/MM>   Restore one month folder (sites/<id>/YYYY/MM for a subsite)
+  --base-name <name>  Restore one base name with all its sizes (e.g. hero, or doc-pdf for a PDF preview)
+  --from-csv <log>    Restore the files a CSV log records as deleted (FILE_DELETED),
+                      from the backup ZIP the log records (BACKUP_CREATED)
+  --migrate-backups   Move backup ZIPs older versions wrote into the uploads directory to the backup directory
+  --list-backups      List backup ZIPs with creation time, file count, sizes and months covered
+  --inspect-backup [zip]  List the files in a backup ZIP (default: latest)
+  --prune-backups     Delete old backup ZIPs: --keep <n> newest and/or --older-than <age> (e.g. 90d)
+  --verify-backup [zip]  Check that a backup ZIP has every manifest file with the right size and SHA-256 (default: latest)
+  --quarantine        Move orphaned files to the quarantine directory instead of deleting them
+  --purge-quarantine  Delete quarantined files for good (needs --older-than, e.g. 30d, 12h, 2w)
+  --release <glob>    Move quarantined files matching a path or file name glob back into uploads
+  --quarantine-dir <dir>  Quarantine directory (default: wp-oic-quarantine next to the WordPress directory)
+  --explain <file>    Trace the orphan decision for one uploads-relative file
+  --plan-out <file>   With --dry-run (or --interactive), write the candidates with size, mtime and SHA-256 to a plan file
+  --plan <file>       With --clean, only delete the files of a reviewed plan that are unchanged
+  --uploads <dir>     WordPress uploads directory (default: ../wp-content/uploads)
+  --logs <dir>        Directory for CSV logs (default: ./logs)
+  --backup-dir <dir>  Directory for backup ZIP files (default: ./backups, outside the public uploads directory)
+  --multisite         Also scan subsite uploads in sites/<blog_id>/YYYY/MM
+  --site <id>         Limit a multisite run to one blog id (1 = main site)
+  --layout <layout>   Uploads layout: yearmonth, flat, auto (default) or comma separated directory globs
+  --exclude <globs>   Extra comma separated directory globs to skip
 
 EXAMPLES:
   # Show help
@@ -298,23 +867,113 @@ EXAMPLES:
   # Scan for orphaned files (dry run)
   node app.js --dry-run
 
+  # Measure scan speed on a large uploads directory
+  node app.js --benchmark
+
+  # Scan NFS-mounted uploads with more parallel directory reads
+  node app.js --dry-run --concurrency 16
+
+  # Only delete files the database does not know about
+  wp db export site.sql
+  node app.js --clean --db-dump site.sql
+
+  # Also keep thumbnails hard-coded in posts, widgets and page builder data
+  node app.js --clean --db-dump site.sql --references site.sql
+
+  # Remove thumbnails of image sizes the current theme no longer registers
+  node app.js --dry-run --stale-sizes --sizes sizes.json
+  node app.js --dry-run --stale-sizes --sizes https://example.com
+
+  # Remove uploads left behind by bulk deletes, failed imports or DB restores
+  node app.js --dry-run --orphaned-originals --db-dump site.sql
+
+  # Find out why a file is (or is not) flagged
+  node app.js --explain 2021/03/foo-scaled-300x200.jpg --db-dump site.sql
+
+  # List attachments with missing files and write a script to regenerate them
+  node app.js --missing --db-dump site.sql --regenerate-script regenerate.sh
+
+  # Review-and-execute: write a plan, have it approved, delete exactly that
+  node app.js --dry-run --plan-out plan.json
+  node app.js --clean --plan plan.json
+
+  # Pick the files to delete by hand in the terminal
+  node app.js --interactive --db-dump site.sql
+
+  # Let the content team decide in the browser (http://127.0.0.1:8080/)
+  node app.js --serve --db-dump site.sql
+
+  # Soft delete: move orphans aside, put some back, purge the rest later
+  node app.js --quarantine
+  node app.js --release "2021/04/hero-*"
+  node app.js --purge-quarantine --older-than 30d
+
   # Delete orphaned files with backup (keeps backup files)
   node app.js --clean
 
-  # Delete orphaned files and cleanup backup files
-  node app.js --clean --delete
-
   # Restore from latest backup (keeps backup ZIP)
   node app.js --restore
 
   # Restore from latest backup and delete backup ZIP
   node app.js --restore --delete
 
+  # Put back just one image with all its sizes, previewing first
+  node app.js --restore --base-name hero --dry-run
+  node app.js --restore --base-name hero
+
+  # Restore one month, or only what a given cleanup run deleted
+  node app.js --restore --month 2021/04
+  node app.js --restore --from-csv logs/wp-oic-2024-01-15T10-30-00.csv
+
+  # Move backups made by older versions out of the public uploads directory
+  node app.js --migrate-backups
+
+  # Keep the five newest backups, and none older than 90 days
+  node app.js --list-backups
+  node app.js --prune-backups --keep 5 --older-than 90d
+
+  # Check an old backup before relying on it
+  node app.js --verify-backup wp-oic-2024-01-15T10-30-00.zip
+
   # Restore from specific backup
   node app.js --restore wp-oic-2024-01-15T10-30-00.zip
 
+  # Scan another site's uploads directory
+  node app.js --dry-run --uploads /var/www/site-a/wp-content/uploads
+
+  # Scan every site of a multisite network, or just blog 3
+  node app.js --dry-run --multisite
+  node app.js --dry-run --site 3
+
+  # Site with "Organize my uploads into month- and year-based folders" disabled
+  node app.js --dry-run --layout flat
+
+  # Only scan 2019 folders and a custom directory
+  node app.js --dry-run --layout "2019/*,legacy/**"
+
+LAYOUTS:
+  yearmonth  Only YYYY/MM folders
+  flat       Only images directly in the uploads root
+  auto       YYYY/MM folders plus images directly in the uploads root
+  <globs>    Directories matching the globs ("." is the uploads root)
+
+  Plugin folders in the uploads root (woocommerce_uploads, elementor, cache,
+  ...) and this tool's own wp-oic-* folders are always skipped.
+
+CONFIG FILE:
+  Settings can also be stored in .wp-oicrc.json or wp-oic.config.js, found by
+  searching upward from the current directory. Command line flags override
+  the config file, which overrides the defaults. Relative paths in the file
+  are resolved from the file's directory.
+
+  {
+    "uploads": "../wp-content/uploads",
+    "logs": "./logs",
+    "backupDir": "./backups"
+  }
+
 NOTES:
-  - Backup ZIP files are created in the uploads directory
+  - Backup ZIP files are created in ./backups, outside the public uploads directory, unless --backup-dir is set
   - CSV logs are saved to ./logs/ directory
   - Backup files are kept by default for safety
   - Use --delete flag to cleanup backup files after operations
@@ -327,504 +986,3194 @@ NOTES:
    */
   async scanForOrphans() {
     console.log("🔍 Scanning for orphaned image size files...");
-    console.log(`📁 Scanning directory: ${UPLOADS_PATH}`);
 
-    await this.scanDirectory(UPLOADS_PATH);
+    const startTime = process.hrtime.bigint();
+    const sites = await this.getScanSites();
+    this.limit = createLimiter(this.concurrency);
+
+    if (this.concurrency > 1) {
+      console.log(`⚡ Scanning up to ${this.concurrency} directories at once`);
+    }
+    for (const site of sites) {
+      if (site.blogId === null) {
+        console.log(`📁 Scanning directory: ${site.root}`);
+      } else {
+        console.log(`🌐 Scanning site ${site.blogId}: ${site.root}`);
+      }
+    }
+    await Promise.all(sites.map((site) => this.scanDirectory(site.root, site)));
+    this.scanDurationMs = Number(process.hrtime.bigint() - startTime) / 1e6;
+
+    // Directories finish in any order - sort so reports, logs and backup
+    // manifests are the same regardless of concurrency
+    this.orphanedFiles.sort((a, b) => this.compareFiles(a, b));
+    this.protectedFiles.sort((a, b) => this.compareFiles(a, b));
+    for (const file of this.orphanedFiles) {
+      await this.logToCsv(
+        CATEGORY_OPERATIONS[file.category],
+        file.path,
+        file.size,
+        file.dimensions,
+        file.baseName,
+        "FOUND",
+        file.group ? `group: ${file.group}` : file.dbStatus || "",
+        file.blogId
+      );
+    }
+    this.metadataFiles.sort((a, b) => this.compareFiles(a, b));
+    for (const file of this.metadataFiles) {
+      await this.logToCsv(
+        "IN_METADATA",
+        file.path,
+        0,
+        file.dimensions,
+        file.baseName,
+        "SKIPPED",
+        `Listed in metadata of attachment ${file.attachmentId}`,
+        file.blogId
+      );
+    }
+    this.referencedFiles.sort((a, b) => this.compareFiles(a, b));
+    for (const file of this.referencedFiles) {
+      await this.logToCsv(
+        "REFERENCED_ORPHAN",
+        file.path,
+        file.size,
+        file.dimensions,
+        file.baseName,
+        "SKIPPED",
+        `Referenced ${file.referenceCount}x in: ${file.referencedIn.join(
+          "; "
+        )}`,
+        file.blogId
+      );
+    }
+    for (const file of this.protectedFiles) {
+      await this.logToCsv(
+        "MAIN_FILE_PROTECTED",
+        file.path,
+        0,
+        file.preview ? "preview" : "parent",
+        file.baseName,
+        "SKIPPED",
+        file.preview
+          ? "Document missing - may be an uploaded image (use --db-dump to check)"
+          : "Original missing - kept as attachment main file (use --aggressive-parents to delete)",
+        file.blogId
+      );
+    }
 
     console.log(`\n📊 Scan complete!`);
     console.log(`   Total files scanned: ${this.totalScanned}`);
     console.log(`   Orphaned files found: ${this.orphanedFiles.length}`);
+    if (this.protectedFiles.length > 0) {
+      console.log(`   Main files protected: ${this.protectedFiles.length}`);
+    }
+    if (this.database) {
+      console.log(
+        `   Kept (in attachment metadata): ${this.metadataFiles.length}`
+      );
+    }
+    if (this.references) {
+      console.log(
+        `   Kept (referenced in content): ${this.referencedFiles.length}`
+      );
+    }
     console.log(`   Total orphaned size: ${this.formatBytes(this.totalSize)}`);
+    console.log(
+      `   Scan time: ${(this.scanDurationMs / 1000).toFixed(2)}s (${Math.round(
+        this.getFilesPerSecond()
+      )} files/sec)`
+    );
   }
 
   /**
-   * Recursively scan directory for image files
-   * Only scans WordPress year/month folders (YYYY/MM pattern)
+   * Load attachment data from a SQL dump (--db-dump)
    */
-  async scanDirectory(dirPath) {
-    try {
-      const items = await fs.readdir(dirPath, { withFileTypes: true });
+  async loadDatabase() {
+    console.log(`🗄️  Reading attachments from SQL dump: ${this.dbDumpPath}`);
 
-      for (const item of items) {
-        const fullPath = path.join(dirPath, item.name);
-
-        if (item.isDirectory()) {
-          // Only scan year/month folders (WordPress media organization)
-          if (this.shouldScanDirectory(dirPath, item.name)) {
-            await this.scanDirectory(fullPath);
-          }
-        } else if (item.isFile() && this.isImageFile(item.name)) {
-          this.totalScanned++;
-          await this.checkIfOrphaned(fullPath, item.name);
-        }
-      }
+    try {
+      this.database = await loadAttachmentDatabase(this.dbDumpPath, {
+        tablePrefix: this.tablePrefix,
+      });
     } catch (error) {
-      console.warn(`⚠️  Could not scan directory ${dirPath}: ${error.message}`);
+      throw new Error(`Could not read SQL dump: ${error.message}`);
     }
-  }
-
-  /**
-   * Check if we should scan a directory based on WordPress media organization
-   */
-  shouldScanDirectory(parentPath, dirName) {
-    const relativePath = path.relative(UPLOADS_PATH, parentPath);
 
-    // Root uploads directory - scan year folders (YYYY)
-    if (relativePath === "" || relativePath === ".") {
-      return /^\d{4}$/.test(dirName); // Match 2020, 2021, 2022, etc.
+    const { stats } = this.database;
+    console.log(
+      `   ✅ ${stats.attachments} attachments, ${stats.knownFiles} known files`
+    );
+    if (stats.unreadableMetadata > 0) {
+      console.warn(
+        `   ⚠️  ${stats.unreadableMetadata} metadata values could not be unserialized`
+      );
     }
-
-    // Year directory - scan month folders (MM)
-    if (/^\d{4}$/.test(path.basename(parentPath))) {
-      return /^(0[1-9]|1[0-2])$/.test(dirName); // Match 01-12
+    if (stats.attachments === 0) {
+      console.warn(
+        "   ⚠️  No attachments found - check the dump and --table-prefix"
+      );
     }
+    console.log("");
 
-    // Don't scan deeper than year/month
-    return false;
+    await this.logToCsv(
+      "DB_LOADED",
+      this.dbDumpPath,
+      0,
+      "",
+      "",
+      "SUCCESS",
+      `${stats.attachments} attachments, ${stats.knownFiles} known files, ${stats.unreadableMetadata} unreadable metadata values`
+    );
   }
 
   /**
-   * Check if a file is an image file
+   * Load uploads references from a SQL dump or content export (--references)
    */
-  isImageFile(filename) {
-    return (
-      /\.(jpg|jpeg|png|gif|webp)$/i.test(filename) ||
-      /\.(jpg|jpeg|png|gif)\.webp$/i.test(filename)
+  async loadReferenceIndex() {
+    console.log(`🔗 Reading content references from: ${this.referencesPath}`);
+
+    try {
+      this.references = await loadReferences(this.referencesPath, {
+        tablePrefix: this.tablePrefix,
+      });
+    } catch (error) {
+      throw new Error(`Could not read references: ${error.message}`);
+    }
+
+    const { stats } = this.references;
+    console.log(
+      `   ✅ ${stats.files} referenced files in ${stats.sources} content values\n`
+    );
+
+    await this.logToCsv(
+      "REFERENCES_LOADED",
+      this.referencesPath,
+      0,
+      "",
+      "",
+      "SUCCESS",
+      `${stats.files} referenced files, ${stats.references} references`
     );
   }
 
   /**
-   * Check if an image file is an orphaned size variant or parent file
+   * Load the registered image sizes (--stale-sizes)
    */
-  async checkIfOrphaned(filePath, filename) {
-    // Check SIZE VARIANTS first (files with dimensions)
-    for (const pattern of SIZE_PATTERNS) {
-      const match = filename.match(pattern);
-      if (match) {
-        const baseName = match[1];
-        const extension = match[4];
-        const directory = path.dirname(filePath);
-
-        // For WebP copies (e.g., image-300x200.jpg.webp), we need to look for:
-        // 1. Original parent (image.jpg)
-        // 2. WebP parent (image.jpg.webp)
-        const isWebPCopy = extension.includes(".webp");
-        const originalExtension = isWebPCopy
-          ? extension.replace(".webp", "")
-          : extension;
+  async loadSizes() {
+    if (!this.sizesSource) {
+      throw new Error(
+        "--stale-sizes needs --sizes <sizes.json> or --sizes <site URL>"
+      );
+    }
 
-        // Check for parent files
-        let parentExists = false;
-        try {
-          const dirContents = await fs.readdir(directory);
-          parentExists = dirContents.some((file) => {
-            if (!file.startsWith(baseName)) return false;
-
-            // Check if this file matches size patterns (skip if it does)
-            if (SIZE_PATTERNS.some((p) => p.test(file))) return false;
-            if (PARENT_PATTERNS.some((p) => p.test(file))) return false;
-
-            // For WebP copies, look for either original parent or WebP parent
-            if (isWebPCopy) {
-              return (
-                file === `${baseName}${originalExtension}` || // Original parent
-                file === `${baseName}${extension}`
-              ); // WebP parent
-            } else {
-              // For regular files, just match the extension
-              return file.endsWith(extension);
-            }
+    console.log(`📐 Loading registered image sizes from: ${this.sizesSource}`);
+    try {
+      this.registeredSizes = await loadRegisteredSizes(this.sizesSource);
+    } catch (error) {
+      throw new Error(`Could not load image sizes: ${error.message}`);
+    }
+
+    if (this.registeredSizes.length === 0) {
+      throw new Error(`No image sizes found in ${this.sizesSource}`);
+    }
+
+    this.registeredSizes.forEach((size) => {
+      console.log(
+        `   📐 ${size.name}: ${size.width} × ${size.height}${
+          size.crop ? " (crop)" : ""
+        }`
+      );
+    });
+    console.log("");
+
+    await this.logToCsv(
+      "SIZES_LOADED",
+      this.sizesSource,
+      0,
+      "",
+      "",
+      "SUCCESS",
+      this.registeredSizes
+        .map((size) => `${size.name} ${size.width}x${size.height}`)
+        .join("; ")
+    );
+  }
+
+  /**
+   * Sort order for scan results: blog id, then relative path
+   */
+  compareFiles(a, b) {
+    const siteOrder = (a.blogId ?? 0) - (b.blogId ?? 0);
+    if (siteOrder !== 0) return siteOrder;
+    if (a.relativePath < b.relativePath) return -1;
+    if (a.relativePath > b.relativePath) return 1;
+    return 0;
+  }
+
+  /**
+   * Files scanned per second for the last scan
+   */
+  getFilesPerSecond() {
+    if (this.scanDurationMs === 0) return 0;
+    return this.totalScanned / (this.scanDurationMs / 1000);
+  }
+
+  /**
+   * Report scan performance (--benchmark)
+   */
+  async showBenchmark() {
+    const filesPerSecond = this.getFilesPerSecond();
+    const memory = process.memoryUsage();
+
+    console.log("\n" + "=".repeat(60));
+    console.log("⏱️  BENCHMARK RESULTS");
+    console.log("=".repeat(60));
+    console.log(`   Directories listed: ${this.directoriesScanned}`);
+    console.log(`   Image files scanned: ${this.totalScanned}`);
+    console.log(`   Orphaned files found: ${this.orphanedFiles.length}`);
+    console.log(`   Elapsed: ${(this.scanDurationMs / 1000).toFixed(3)}s`);
+    console.log(`   Throughput: ${filesPerSecond.toFixed(1)} files/sec`);
+    console.log(`   Heap used: ${this.formatBytes(memory.heapUsed)}`);
+
+    await this.logToCsv(
+      "BENCHMARK",
+      "",
+      0,
+      "",
+      "",
+      "SUCCESS",
+      `${this.totalScanned} files in ${this.directoriesScanned} directories, ${(
+        this.scanDurationMs / 1000
+      ).toFixed(3)}s, ${filesPerSecond.toFixed(1)} files/sec`
+    );
+  }
+
+  /**
+   * Get the upload roots to scan
+   * Multisite: main site (blog 1) in uploads/, subsites in uploads/sites/<blog_id>/
+   */
+  async getScanSites() {
+    if (!this.multisite) {
+      return [{ blogId: null, root: this.uploadsPath, exclude: [] }];
+    }
+
+    // The main site's root holds the subsite trees - never scan them twice
+    const sites = [{ blogId: 1, root: this.uploadsPath, exclude: ["sites"] }];
+    const sitesPath = path.join(this.uploadsPath, "sites");
+
+    try {
+      const items = await fs.readdir(sitesPath, { withFileTypes: true });
+      items
+        .filter((item) => item.isDirectory() && /^\d+$/.test(item.name))
+        .map((item) => Number(item.name))
+        .sort((a, b) => a - b)
+        .forEach((blogId) => {
+          sites.push({
+            blogId,
+            root: path.join(sitesPath, String(blogId)),
+            exclude: [],
           });
-        } catch (error) {
-          // Continue if can't read directory
-        }
+        });
+    } catch (error) {
+      console.warn(`⚠️  Could not read sites directory: ${error.message}`);
+    }
 
-        if (!parentExists) {
-          const stat = await fs.stat(filePath);
-          const orphanedFile = {
-            path: filePath,
-            filename: filename,
-            size: stat.size,
-            baseName: baseName,
-            dimensions: `${match[2]}x${match[3]}`,
-            relativePath: path.relative(UPLOADS_PATH, filePath),
-          };
+    if (this.siteFilter === null) {
+      return sites;
+    }
 
-          this.orphanedFiles.push(orphanedFile);
-          this.totalSize += stat.size;
+    const selected = sites.filter((site) => site.blogId === this.siteFilter);
+    if (selected.length === 0) {
+      console.warn(
+        `⚠️  Site ${this.siteFilter} not found in ${sitesPath} - nothing to scan`
+      );
+    }
+    return selected;
+  }
 
-          // Log orphaned file found
-          await this.logToCsv(
-            "ORPHAN_FOUND",
-            filePath,
-            stat.size,
-            orphanedFile.dimensions,
-            baseName,
-            "FOUND",
-            ""
-          );
-        }
-        return; // Found a match, stop checking
+  /**
+   * Recursively scan directory for image files
+   * Which folders are entered depends on the configured layout.
+   * Each directory is listed once and indexed before any orphan checks.
+   * Subdirectories are scanned in parallel through the concurrency pool.
+   */
+  async scanDirectory(dirPath, site) {
+    const subdirectories = await this.limit(() =>
+      this.scanDirectoryFiles(dirPath, site)
+    );
+
+    await Promise.all(
+      subdirectories.map((subdirectory) =>
+        this.scanDirectory(subdirectory, site)
+      )
+    );
+  }
+
+  /**
+   * List one directory, check its image files and return the
+   * subdirectories that should be scanned next
+   */
+  async scanDirectoryFiles(dirPath, site) {
+    let items;
+    try {
+      items = await fs.readdir(dirPath, { withFileTypes: true });
+    } catch (error) {
+      console.warn(`⚠️  Could not scan directory ${dirPath}: ${error.message}`);
+      return [];
+    }
+    this.directoriesScanned++;
+
+    if (this.directoryListings) {
+      this.directoryListings.set(
+        toPosix(path.relative(this.uploadsPath, dirPath)),
+        new Set(items.filter((item) => item.isFile()).map((item) => item.name))
+      );
+    }
+
+    const subdirectories = [];
+    const imageCount = items.filter(
+      (item) => item.isFile() && this.isImageFile(item.name)
+    ).length;
+
+    for (const item of items) {
+      if (
+        item.isDirectory() &&
+        this.shouldScanDirectory(dirPath, item.name, site)
+      ) {
+        subdirectories.push(path.join(dirPath, item.name));
       }
     }
 
-    // Check PARENT FILES (scaled, edited, etc. without dimensions)
-    for (const pattern of PARENT_PATTERNS) {
-      const match = filename.match(pattern);
-      if (match) {
-        const baseName = match[1];
-        const extension = match[2];
-        const directory = path.dirname(filePath);
+    // Orphaned originals mode looks at every media file, not only images
+    const hasCandidates = this.orphanedOriginals
+      ? items.some((item) => item.isFile() && MEDIA_FILE.test(item.name))
+      : imageCount > 0;
 
-        // For WebP copies (e.g., image-scaled.jpg.webp), we need to look for:
-        // 1. Original parent (image.jpg)
-        // 2. WebP parent (image.jpg.webp)
-        const isWebPCopy = extension.includes(".webp");
-        const originalExtension = isWebPCopy
-          ? extension.replace(".webp", "")
-          : extension;
+    if (hasCandidates && this.shouldScanFiles(dirPath, site)) {
+      this.totalScanned += imageCount;
+      const index = this.buildDirectoryIndex(
+        dirPath,
+        items.map((item) => item.name)
+      );
 
-        // Check for original parent files
-        let parentExists = false;
-        try {
-          const dirContents = await fs.readdir(directory);
-          parentExists = dirContents.some((file) => {
-            if (!file.startsWith(baseName)) return false;
-
-            // Skip other generated files (size variants, other parent files)
-            if (SIZE_PATTERNS.some((p) => p.test(file))) return false;
-            if (PARENT_PATTERNS.some((p) => p.test(file))) return false;
-
-            // For WebP copies, look for either original parent or WebP parent
-            if (isWebPCopy) {
-              return (
-                file === `${baseName}${originalExtension}` || // Original parent
-                file === `${baseName}${extension}`
-              ); // WebP parent
-            } else {
-              // For regular files, just match the extension
-              return file.endsWith(extension);
-            }
-          });
-        } catch (error) {
-          // Continue if can't read directory
+      const claimed = this.orphanedOriginals
+        ? await this.findUnattachedOriginals(items, index, site)
+        : new Set();
+
+      for (const variants of index.groups.values()) {
+        for (const variant of variants) {
+          if (claimed.has(variant.filename)) continue;
+          await this.checkIfOrphaned(variant, index, site);
         }
+      }
+    }
 
-        if (!parentExists) {
-          const stat = await fs.stat(filePath);
-          const orphanedFile = {
-            path: filePath,
-            filename: filename,
-            size: stat.size,
-            baseName: baseName,
-            dimensions: "parent", // Mark as parent file, not size variant
-            relativePath: path.relative(UPLOADS_PATH, filePath),
-          };
+    return subdirectories;
+  }
 
-          this.orphanedFiles.push(orphanedFile);
-          this.totalSize += stat.size;
+  /**
+   * Check if we should scan a directory based on WordPress media organization
+   */
+  shouldScanDirectory(parentPath, dirName, site) {
+    const relativePath = path.relative(site.root, parentPath);
+    const dirRelativePath = toPosix(path.join(relativePath, dirName));
 
-          // Log orphaned file found
-          await this.logToCsv(
-            "ORPHAN_FOUND",
-            filePath,
-            stat.size,
-            "parent",
-            baseName,
-            "FOUND",
-            ""
-          );
-        }
-        return; // Found a match, stop checking
+    // Plugin-owned and tool-owned folders are never scanned
+    if (
+      [...this.excludes, ...site.exclude].some((pattern) =>
+        matchesGlob(dirRelativePath, pattern)
+      )
+    ) {
+      return false;
+    }
+
+    // Custom layout - enter directories that can lead to a glob match
+    if (Array.isArray(this.layout)) {
+      return this.layout.some((pattern) =>
+        matchesGlobPrefix(dirRelativePath, pattern)
+      );
+    }
+
+    // Flat layout - everything lives in the root
+    if (this.layout === "flat") {
+      return false;
+    }
+
+    // Root uploads directory - scan year folders (YYYY)
+    if (relativePath === "" || relativePath === ".") {
+      return /^\d{4}$/.test(dirName); // Match 2020, 2021, 2022, etc.
+    }
+
+    // Year directory - scan month folders (MM)
+    if (/^\d{4}$/.test(path.basename(parentPath))) {
+      return /^(0[1-9]|1[0-2])$/.test(dirName); // Match 01-12
+    }
+
+    // Don't scan deeper than year/month
+    return false;
+  }
+
+  /**
+   * Check if image files directly inside a directory should be checked
+   */
+  shouldScanFiles(dirPath, site) {
+    const relativePath = toPosix(path.relative(site.root, dirPath)) || ".";
+
+    if (Array.isArray(this.layout)) {
+      return this.layout.some((pattern) => matchesGlob(relativePath, pattern));
+    }
+
+    // Root files are only scanned for flat and auto layouts
+    if (relativePath === ".") {
+      return this.layout !== "yearmonth";
+    }
+
+    return true;
+  }
+
+  /**
+   * Get the site an uploads-relative path belongs to
+   */
+  getSiteForPath(relativePath) {
+    if (!this.multisite) {
+      return { blogId: null, root: this.uploadsPath, exclude: [] };
+    }
+
+    const match = relativePath.match(/^sites\/(\d+)\//);
+    if (match) {
+      return {
+        blogId: Number(match[1]),
+        root: path.join(this.uploadsPath, "sites", match[1]),
+        exclude: [],
+      };
+    }
+    return { blogId: 1, root: this.uploadsPath, exclude: ["sites"] };
+  }
+
+  /**
+   * Explain why the scan would not look at files in a directory
+   * Returns null when the directory is scanned
+   */
+  getScanSkipReason(dirPath, site) {
+    if (this.siteFilter !== null && site.blogId !== this.siteFilter) {
+      return `--site ${this.siteFilter} limits the scan to another site`;
+    }
+    if (
+      !this.multisite &&
+      /^sites\/\d+$/.test(
+        toPosix(path.relative(this.uploadsPath, dirPath))
+          .split("/", 2)
+          .join("/")
+      )
+    ) {
+      return "subsite uploads are only scanned with --multisite";
+    }
+
+    const layoutName = Array.isArray(this.layout)
+      ? `"${this.layout.join(", ")}"`
+      : this.layout;
+    let parentPath = site.root;
+    for (const dirName of path
+      .relative(site.root, dirPath)
+      .split(path.sep)
+      .filter(Boolean)) {
+      if (!this.shouldScanDirectory(parentPath, dirName, site)) {
+        const dirRelativePath = toPosix(
+          path.relative(site.root, path.join(parentPath, dirName))
+        );
+        const exclude = [...this.excludes, ...site.exclude].find((pattern) =>
+          matchesGlob(dirRelativePath, pattern)
+        );
+        return exclude
+          ? `"${dirRelativePath}" is excluded by "${exclude}"`
+          : `"${dirRelativePath}" is not part of the ${layoutName} layout`;
       }
+      parentPath = path.join(parentPath, dirName);
+    }
+
+    if (!this.shouldScanFiles(dirPath, site)) {
+      return `files in this directory are not part of the ${layoutName} layout`;
     }
+    return null;
   }
 
   /**
-   * Display scan results
+   * Trace the orphan decision for one file (--explain)
+   * Runs the same checks as the scan on the file's directory and prints
+   * every step: rule, parent candidates, related files, DB/reference data
+   * and the verdict.
    */
-  displayResults(isDryRun = false) {
+  async explainFile(target) {
+    const filePath = path.resolve(this.uploadsPath, target);
+    const relativePath = path.relative(this.uploadsPath, filePath);
+    const posixPath = toPosix(relativePath);
+    const dirPath = path.dirname(filePath);
+    const filename = path.basename(filePath);
+
+    if (relativePath.startsWith("..") || path.isAbsolute(relativePath)) {
+      throw new Error(
+        `${target} is outside the uploads directory ${this.uploadsPath}`
+      );
+    }
+
+    let items;
+    try {
+      items = await fs.readdir(dirPath, { withFileTypes: true });
+    } catch (error) {
+      throw new Error(`Could not read directory ${dirPath}: ${error.message}`);
+    }
+    if (!items.some((item) => item.isFile() && item.name === filename)) {
+      throw new Error(`File not found: ${filePath}`);
+    }
+
     console.log("\n" + "=".repeat(60));
-    console.log(isDryRun ? "🔍 DRY RUN RESULTS" : "📋 ORPHANED FILES FOUND");
+    console.log(`🔎 EXPLAIN: ${posixPath}`);
     console.log("=".repeat(60));
 
-    if (this.orphanedFiles.length === 0) {
-      console.log("✅ No orphaned image size files found!");
-      return;
+    const site = this.getSiteForPath(posixPath);
+    if (site.blogId !== null) {
+      console.log(`\n🌐 Site: ${site.blogId}`);
     }
+    const skipReason = this.getScanSkipReason(dirPath, site);
+    console.log(
+      `\n📂 Directory: ${
+        skipReason ? `not scanned - ${skipReason}` : "scanned"
+      }`
+    );
 
-    // Group by directory for better organization
-    const byDirectory = {};
-    this.orphanedFiles.forEach((file) => {
-      const dir = path.dirname(file.relativePath);
-      if (!byDirectory[dir]) byDirectory[dir] = [];
-      byDirectory[dir].push(file);
-    });
+    const index = this.buildDirectoryIndex(
+      dirPath,
+      items.map((item) => item.name)
+    );
+    const variant = this.classifyFile(filename);
 
-    Object.keys(byDirectory)
-      .sort()
-      .forEach((dir) => {
-        console.log(`\n📁 ${dir}/`);
-        byDirectory[dir].forEach((file) => {
-          console.log(
-            `   🗑️  ${file.filename} (${file.dimensions}) - ${this.formatBytes(
-              file.size
-            )}`
-          );
-        });
+    console.log("\n📏 Rule:");
+    if (!variant) {
+      console.log("   No rule matched - treated as an original upload");
+    } else {
+      const rule = this.rules.find((r) => r.name === variant.rule);
+      console.log(
+        `   ${rule.name} (${rule.source}, type: ${rule.type}, category: ${rule.category})`
+      );
+      console.log(`   Pattern: ${rule.pattern}`);
+      console.log(`   Stem: ${variant.stem}`);
+      console.log(`   Base name: ${variant.baseName}`);
+      console.log(`   Extension: ${variant.extension}`);
+      if (variant.width !== null) {
+        console.log(`   Dimensions: ${variant.dimensions}`);
+      }
+      if (variant.previewOf) {
+        console.log(`   Preview of: ${variant.baseName}${variant.previewOf}`);
+      }
+    }
+
+    let resolved = null;
+    if (variant && !this.isGeneratedVariant(index, variant)) {
+      console.log(
+        `   No JPEG/PNG/GIF files named "${variant.baseName}" here - treated as an uploaded ${variant.extension} original`
+      );
+    } else if (variant) {
+      resolved = this.resolveParent(index, variant);
+      console.log("\n🔍 Parent candidates (in lookup order):");
+      if (resolved.candidates.length === 0) {
+        console.log("   (none)");
+      }
+      resolved.candidates.forEach((candidate) => {
+        const actual = index.names.get(candidate.toLowerCase());
+        let status = "✗ not in directory";
+        if (actual && actual === resolved.parent) {
+          status = "✅ found - parent";
+        } else if (actual) {
+          status = "✓ exists, but an earlier candidate was found first";
+        }
+        console.log(`   ${candidate}  ${status}`);
       });
+      if (this.aggressiveParents) {
+        console.log(
+          "   --aggressive-parents: only the original keeps a variant"
+        );
+      }
+    }
 
-    console.log("\n" + "=".repeat(60));
-    console.log(`📊 SUMMARY:`);
-    console.log(`   Orphaned files: ${this.orphanedFiles.length}`);
-    console.log(`   Total size: ${this.formatBytes(this.totalSize)}`);
+    // Files that look related but did not count as the parent
+    const stemPrefix = (
+      variant ? variant.baseName : filename.replace(/\.[^.]+$/, "")
+    ).toLowerCase();
+    const related = items.filter(
+      (item) =>
+        item.isFile() &&
+        item.name !== filename &&
+        item.name.toLowerCase().startsWith(stemPrefix)
+    );
+    if (related.length > 0) {
+      console.log("\n📄 Other files in the directory with this base name:");
+      related.forEach((item) => {
+        console.log(
+          `   ${item.name} - ${this.describeRelatedFile(
+            item.name,
+            filename,
+            variant,
+            resolved
+          )}`
+        );
+      });
+    }
 
-    if (isDryRun) {
+    if (this.database) {
+      const attachment = this.database.knownFiles.get(posixPath);
+      console.log("\n🗄️  Database:");
       console.log(
-        "\n💡 Run with --delete to actually remove these files (with backup)"
+        attachment
+          ? `   Listed in metadata of attachment ${attachment.id}${
+              attachment.title ? ` "${attachment.title}"` : ""
+            }${attachment.mimeType ? ` (${attachment.mimeType})` : ""}`
+          : "   Not listed in any attachment's metadata"
+      );
+    }
+    if (this.references) {
+      const reference = this.references.get(posixPath);
+      console.log("\n🔗 Content references:");
+      if (reference) {
+        console.log(`   Referenced ${reference.count}x in:`);
+        reference.locations.forEach((location) => {
+          console.log(`     ↳ ${location}`);
+        });
+      } else {
+        console.log("   Not referenced");
+      }
+    }
+    if (this.registeredSizes && variant && variant.type === "size") {
+      const size = findRegisteredSize(
+        variant.width,
+        variant.height,
+        this.registeredSizes
+      );
+      console.log("\n📐 Registered sizes:");
+      console.log(
+        size
+          ? `   ${variant.dimensions} is produced by "${size.name}"`
+          : `   No registered size produces ${variant.dimensions}`
+      );
+    }
+
+    // Run the scan's own checks on this directory
+    const claimed = this.orphanedOriginals
+      ? await this.findUnattachedOriginals(items, index, site)
+      : new Set();
+    if (variant && !claimed.has(filename)) {
+      await this.checkIfOrphaned(variant, index, site);
+    }
+    const verdict = this.getExplainVerdict(filename, variant, resolved);
+
+    console.log("\n" + "=".repeat(60));
+    console.log(`⚖️  VERDICT: ${verdict}`);
+    if (skipReason) {
+      console.log(
+        "   The directory is not scanned, so the file is never touched - the verdict applies if it were"
       );
     }
+
+    await this.logToCsv(
+      "EXPLAIN",
+      filePath,
+      0,
+      variant ? variant.dimensions : "",
+      variant ? variant.baseName : "",
+      "SUCCESS",
+      skipReason ? `${verdict} (directory not scanned)` : verdict,
+      site.blogId
+    );
+  }
+
+  /**
+   * Say why a file next to the explained one is or is not its parent
+   */
+  describeRelatedFile(name, filename, variant, resolved) {
+    const other = this.classifyFile(name);
+
+    // Explaining an original: show what belongs to it
+    if (!variant) {
+      if (
+        other &&
+        this.getOriginalCandidates(other).some(
+          (candidate) => candidate.toLowerCase() === filename.toLowerCase()
+        )
+      ) {
+        return `${other.category} of this file (rule ${other.rule})`;
+      }
+      return "not generated from this file";
+    }
+
+    if (!resolved) {
+      return "not checked - the file is treated as an original";
+    }
+    if (name === resolved.parent) {
+      return "parent ✅";
+    }
+    const lowerName = name.toLowerCase();
+    if (resolved.candidates.some((c) => c.toLowerCase() === lowerName)) {
+      return `candidate, but ${resolved.parent} was found first`;
+    }
+    if (other) {
+      return `${other.category} (rule ${other.rule}) - generated files are never parents`;
+    }
+
+    const stem = name.replace(/\.[^.]+$/, "").toLowerCase();
+    if (
+      resolved.candidates.some((c) => c.toLowerCase().startsWith(`${stem}.`))
+    ) {
+      return `same name, but ${path.extname(
+        name
+      )} is not a parent extension for ${variant.extension}`;
+    }
+    return "different name - not a candidate";
+  }
+
+  /**
+   * Turn the checks' outcome for one file into a verdict line (--explain)
+   */
+  getExplainVerdict(filename, variant, resolved) {
+    const find = (files) => files.find((file) => file.filename === filename);
+
+    const orphan = find(this.orphanedFiles);
+    if (orphan) {
+      if (orphan.category === "stale size") {
+        return `🗑️  STALE SIZE - parent ${resolved.parent} exists, but no registered size produces ${orphan.dimensions}`;
+      }
+      if (orphan.category === "unattached original") {
+        return orphan.dimensions === "original"
+          ? `🗑️  UNATTACHED ORIGINAL - no attachment points to this file or its variants`
+          : `🗑️  UNATTACHED - variant of ${orphan.group}, which no attachment points to`;
+      }
+      return `🗑️  ORPHAN - none of the parent candidates exist${
+        orphan.dbStatus ? ` (${orphan.dbStatus})` : ""
+      }`;
+    }
+
+    const listed = find(this.metadataFiles);
+    if (listed) {
+      return `✅ KEPT - listed in metadata of attachment ${listed.attachmentId}`;
+    }
+    const referenced = find(this.referencedFiles);
+    if (referenced) {
+      return `✅ KEPT - referenced ${referenced.referenceCount}x in content`;
+    }
+    const protectedFile = find(this.protectedFiles);
+    if (protectedFile && protectedFile.preview) {
+      return "🛡️  KEPT - preview-like name without its document, may be an uploaded image (use --db-dump to check)";
+    }
+    if (protectedFile) {
+      return "🛡️  KEPT - -scaled/edited main file whose original is missing (use --aggressive-parents to delete)";
+    }
+    if (resolved && resolved.parent) {
+      return `✅ KEPT - parent ${resolved.parent} exists`;
+    }
+    if (variant) {
+      return "✅ KEPT - uploaded WebP/AVIF original, not a next-gen copy";
+    }
+    return this.orphanedOriginals
+      ? "✅ KEPT - original upload that belongs to an attachment"
+      : "✅ KEPT - original upload (use --orphaned-originals --db-dump to check originals)";
+  }
+
+  /**
+   * Check if a file is an image file
+   */
+  isImageFile(filename) {
+    return (
+      /\.(jpg|jpeg|png|gif|webp|avif)$/i.test(filename) ||
+      /\.(jpg|jpeg|png|gif)\.(webp|avif)$/i.test(filename)
+    );
+  }
+
+  /**
+   * Match a filename against the variant rules
+   * Returns null for files that are not generated variants
+   */
+  classifyFile(filename) {
+    const match = matchRule(this.rules, filename);
+    return match
+      ? this.describeVariant(filename, match.rule, match.groups)
+      : null;
+  }
+
+  /**
+   * Check if a file is generated from another file in its directory
+   * A replaced-extension copy (image.webp) only counts as one when the
+   * directory has other files of a JPEG/PNG/GIF original with that name -
+   * otherwise it is most likely an uploaded WebP/AVIF original itself.
+   */
+  isGeneratedVariant(index, variant) {
+    if (!variant) return false;
+    if (variant.type !== "sibling" || variant.sourceExtension) return true;
+
+    return (index.groups.get(variant.baseName) || []).some(
+      (other) =>
+        other.filename !== variant.filename &&
+        !/^\.(webp|avif)$/i.test(other.extension)
+    );
+  }
+
+  /**
+   * Work out a variant's parent chain from its name
+   * Sizes → -scaled/edited main file → original, e.g.
+   *   image-scaled-e1690000000-300x200.jpg → [image-scaled-e1690000000, image-scaled, image]
+   *   image-scaled.jpg → [image]
+   * baseName is always the original's name (the last link of the chain)
+   */
+  describeVariant(filename, rule, groups) {
+    const { type } = rule;
+    const { stem, ext: extension } = groups;
+    const hasDimensions = Boolean(groups.width && groups.height);
+    const dimensions = hasDimensions
+      ? `${groups.width}x${groups.height}`
+      : rule.category;
+
+    const chain = type === "size" ? [stem] : [];
+    // Copies of sizes (image-300x200-optimized.jpg) group with the original
+    let baseName = type === "copy" ? stem.replace(/-\d+x\d+$/, "") : stem;
+    if (/-e\d+$/i.test(baseName)) {
+      baseName = baseName.replace(/-e\d+$/i, "");
+      chain.push(baseName);
+    }
+    if (/-scaled$/i.test(baseName)) {
+      baseName = baseName.replace(/-scaled$/i, "");
+      chain.push(baseName);
+    }
+
+    // Previews and their sizes (document-pdf-300x212.jpg) belong to the
+    // document itself - its extension is kept in previewOf (".pdf")
+    // The preview image's own name is kept in previewStem (document-pdf)
+    let previewOf = null;
+    let previewStem = null;
+    const preview =
+      (type === "size" || type === "preview") && baseName.match(PREVIEW_STEM);
+    if (preview) {
+      previewStem = baseName;
+      baseName = preview[1];
+      previewOf = `.${preview[2]}`;
+    }
+
+    const [width, height] = hasDimensions
+      ? [Number(groups.width), Number(groups.height)]
+      : [null, null];
+
+    // Extension of the original a next-gen sibling was made from
+    // (null when replaced: image.webp)
+    const sourceExtension =
+      type === "sibling" && extension.indexOf(".", 1) !== -1
+        ? extension.slice(0, extension.indexOf(".", 1))
+        : null;
+
+    const variant = {
+      filename,
+      type,
+      rule: rule.name,
+      category: rule.category,
+      stem,
+      chain: type === "sibling" ? [stem] : chain,
+      baseName,
+      extension,
+      sourceExtension,
+      previewOf,
+      previewStem,
+      dimensions,
+      width,
+      height,
+      parents: null,
+    };
+
+    // Rules can declare their own parents instead of the WordPress lookup
+    if (rule.parents) {
+      variant.parents = expandParents(rule, groups, variant);
+    }
+    return variant;
+  }
+
+  /**
+   * Build an in-memory index of one directory listing
+   * Maps original base names to their generated variants, keeps every entry
+   * keyed by lower-case name for parent lookups, and the -scaled/edited main
+   * files of each original
+   */
+  buildDirectoryIndex(dirPath, entryNames) {
+    const groups = new Map();
+    const names = new Map();
+    const mainFiles = new Map();
+
+    for (const name of entryNames) {
+      names.set(name.toLowerCase(), name);
+
+      const variant = this.classifyFile(name);
+      if (!variant) continue;
+
+      if (!groups.has(variant.baseName)) groups.set(variant.baseName, []);
+      groups.get(variant.baseName).push(variant);
+
+      if (variant.type === "parent") {
+        const key = variant.baseName.toLowerCase();
+        if (!mainFiles.has(key)) mainFiles.set(key, []);
+        mainFiles.get(key).push(variant);
+      }
+    }
+
+    return { dirPath, groups, names, mainFiles, parentCache: new Map() };
+  }
+
+  /**
+   * Get the exact file names a parent with this stem could have
+   * e.g. photo + .jpg → photo.jpg, photo.jpeg, photo.jpe
+   *      photo + .jpg.webp → photo.jpg, ..., photo.jpg.webp, ...
+   */
+  getCandidateNames(stem, extension) {
+    const parts = extension.toLowerCase().slice(1).split(".");
+    const aliases = EXTENSION_ALIASES[parts[0]] || [parts[0]];
+    const candidates = aliases.map((ext) => `${stem}.${ext}`);
+
+    // WebP copy (image-300x200.jpg.webp): original parent or WebP parent
+    if (parts.length === 2) {
+      aliases.forEach((ext) => candidates.push(`${stem}.${ext}.${parts[1]}`));
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Get the stems of every file that can act as a variant's parent
+   */
+  getParentStems(index, variant) {
+    const { baseName } = variant;
+
+    // --aggressive-parents: only the original itself keeps a variant alive
+    if (this.aggressiveParents) {
+      return [variant.previewStem || baseName];
+    }
+
+    const stems = [...variant.chain];
+
+    // A WebP copy of a main file (image-scaled.jpg.webp) belongs to the main file
+    if (variant.type === "parent" && variant.extension.includes(".")) {
+      stems.unshift(variant.stem);
+    }
+
+    // Sizes named after the original also belong to its -scaled or edited
+    // main file (WordPress 5.3+ keeps the original name for sizes)
+    if (variant.type === "size" && variant.stem === baseName) {
+      const mainStems = (index.mainFiles.get(baseName.toLowerCase()) || [])
+        .filter((main) => main.filename !== variant.filename)
+        .map((main) => main.stem);
+      stems.unshift(`${baseName}-scaled`, ...mainStems);
+    }
+
+    return [...new Set(stems)];
+  }
+
+  /**
+   * Get the originals a next-gen sibling can be a copy of
+   * e.g. image.jpg.webp → image.jpg, image.jpeg, image.jpe
+   *      image.webp → image.jpg, image.jpeg, image.jpe, image.png, image.gif
+   */
+  getSiblingSources(variant) {
+    if (variant.sourceExtension) {
+      return this.getCandidateNames(variant.stem, variant.sourceExtension);
+    }
+    return NEXTGEN_SOURCE_EXTENSIONS.map((ext) => `${variant.stem}.${ext}`);
+  }
+
+  /**
+   * Get the names the original upload of a variant can have
+   * Previews belong to their document: document-pdf.jpg → document.pdf
+   * Their sizes can also be sizes of an image uploaded under that name:
+   * document-pdf-300x212.jpg → document-pdf.jpg, ..., document.pdf
+   */
+  getOriginalCandidates(variant) {
+    if (variant.previewOf) {
+      const documentName = `${variant.baseName}${variant.previewOf}`;
+      if (variant.type === "preview") return [documentName];
+      return [
+        ...this.getCandidateNames(variant.previewStem, variant.extension),
+        documentName,
+      ];
+    }
+    if (variant.type === "sibling") {
+      return this.getSiblingSources(variant);
+    }
+    return this.getCandidateNames(variant.baseName, variant.extension);
+  }
+
+  /**
+   * Look up a variant's parent chain in the directory index
+   * Returns the candidates checked and the first existing parent (or null)
+   */
+  resolveParent(index, variant) {
+    const cacheKey =
+      `${variant.rule}|${variant.stem}|${variant.extension}`.toLowerCase();
+    if (index.parentCache.has(cacheKey)) {
+      return index.parentCache.get(cacheKey);
+    }
+
+    const ownName = variant.filename.toLowerCase();
+    let candidates;
+    if (variant.parents) {
+      candidates = variant.parents;
+    } else if (variant.type === "sibling" || variant.type === "preview") {
+      candidates = this.getOriginalCandidates(variant);
+    } else {
+      candidates = this.getParentStems(index, variant).flatMap((stem) =>
+        this.getCandidateNames(stem, variant.extension)
+      );
+      // Sizes of a preview also belong to the document
+      if (variant.previewOf) {
+        candidates.push(`${variant.baseName}${variant.previewOf}`);
+      }
+    }
+    candidates = candidates.filter(
+      (candidate) => candidate.toLowerCase() !== ownName
+    );
+    const match = candidates.find((candidate) =>
+      index.names.has(candidate.toLowerCase())
+    );
+    const result = {
+      candidates,
+      parent: match ? index.names.get(match.toLowerCase()) : null,
+    };
+
+    index.parentCache.set(cacheKey, result);
+    return result;
+  }
+
+  /**
+   * Check if a size variant or parent file is orphaned and record it
+   */
+  async checkIfOrphaned(variant, index, site) {
+    // Uploaded WebP/AVIF originals are not next-gen copies
+    if (!this.isGeneratedVariant(index, variant)) {
+      return;
+    }
+
+    const { candidates, parent } = this.resolveParent(index, variant);
+    if (parent) {
+      if (this.registeredSizes && variant.type === "size") {
+        await this.checkIfStale(variant, index, site, parent);
+      }
+      return;
+    }
+
+    const filePath = path.join(index.dirPath, variant.filename);
+    const relativePath = path.relative(this.uploadsPath, filePath);
+
+    // Files listed in attachment metadata are kept, whatever their name says
+    if (this.keepIfInMetadata(variant, filePath, site)) {
+      return;
+    }
+
+    // Files still used in content would break live pages if deleted
+    if (await this.keepIfReferenced(variant, filePath, site, "orphan")) {
+      return;
+    }
+
+    // A -scaled or edited file without its original is usually the
+    // attachment's main file - keep it unless --aggressive-parents is given
+    if (variant.type === "parent" && !this.aggressiveParents) {
+      this.protectedFiles.push({
+        path: filePath,
+        filename: variant.filename,
+        baseName: variant.baseName,
+        relativePath,
+        blogId: site.blogId,
+        parentCandidates: candidates,
+      });
+      return;
+    }
+
+    // A preview-like name (report-pdf.jpg) can just as well be an uploaded
+    // image - only the database can tell it is not an attachment's file
+    if (variant.type === "preview" && !this.database) {
+      this.protectedFiles.push({
+        path: filePath,
+        filename: variant.filename,
+        baseName: variant.baseName,
+        relativePath,
+        blogId: site.blogId,
+        parentCandidates: candidates,
+        preview: true,
+      });
+      return;
+    }
+
+    const stat = await fs.stat(filePath);
+    const orphanedFile = {
+      path: filePath,
+      filename: variant.filename,
+      size: stat.size,
+      baseName: variant.baseName,
+      dimensions: variant.dimensions,
+      relativePath,
+      blogId: site.blogId,
+      parentCandidates: candidates,
+      dbStatus: this.database ? "confirmed orphan" : null,
+      category: "orphan",
+      rule: variant.rule,
+    };
+
+    // Logged once the scan is complete, in sorted order
+    this.orphanedFiles.push(orphanedFile);
+    this.totalSize += stat.size;
+  }
+
+  /**
+   * Find original uploads no attachment points to (--orphaned-originals)
+   * Each one is recorded together with its generated variants as one group.
+   * Returns the file names that were claimed by a group.
+   */
+  async findUnattachedOriginals(items, index, site) {
+    const claimed = new Set();
+
+    // Only month folders hold attachment files - the uploads root and other
+    // folders are full of plugin files, logs and this tool's own archives
+    const folder = toPosix(path.relative(this.uploadsPath, index.dirPath));
+    if (!MONTH_FOLDER.test(folder)) {
+      return claimed;
+    }
+
+    const isKnown = (filename) =>
+      this.database.knownFiles.has(
+        toPosix(
+          path.relative(this.uploadsPath, path.join(index.dirPath, filename))
+        )
+      );
+
+    for (const item of items) {
+      if (!item.isFile() || UNATTACHED_IGNORE.test(item.name)) continue;
+      if (!MEDIA_FILE.test(item.name)) continue;
+      if (item.name.startsWith(`${this.backupPrefix}-`)) continue;
+      if (claimed.has(item.name) || isKnown(item.name)) continue;
+      if (this.isGeneratedVariant(index, this.classifyFile(item.name))) {
+        continue;
+      }
+
+      // Variants that belong to this original (same base name, matching extension)
+      const original = item.name.toLowerCase();
+      const stem = item.name.replace(/\.[^.]+$/, "");
+      const family = (index.groups.get(stem) || []).filter(
+        (variant) =>
+          variant.filename !== item.name &&
+          this.getOriginalCandidates(variant).some(
+            (candidate) => candidate.toLowerCase() === original
+          )
+      );
+
+      // A known -scaled/edited main file or size means the attachment exists
+      if (family.some((variant) => isKnown(variant.filename))) continue;
+
+      const group = path.relative(
+        this.uploadsPath,
+        path.join(index.dirPath, item.name)
+      );
+      const members = [
+        {
+          filename: item.name,
+          baseName: stem,
+          dimensions: "original",
+        },
+        ...family,
+      ];
+
+      for (const member of members) {
+        claimed.add(member.filename);
+        const filePath = path.join(index.dirPath, member.filename);
+        if (
+          await this.keepIfReferenced(
+            member,
+            filePath,
+            site,
+            "unattached original"
+          )
+        ) {
+          continue;
+        }
+
+        const stat = await fs.stat(filePath);
+        this.orphanedFiles.push({
+          path: filePath,
+          filename: member.filename,
+          size: stat.size,
+          baseName: member.baseName,
+          dimensions: member.dimensions,
+          relativePath: path.relative(this.uploadsPath, filePath),
+          blogId: site.blogId,
+          dbStatus: "no attachment",
+          category: "unattached original",
+          rule: member.rule || null,
+          group,
+        });
+        this.totalSize += stat.size;
+      }
+    }
+
+    return claimed;
+  }
+
+  /**
+   * Keep a candidate that attachment metadata lists (--db-dump)
+   * Returns true if the file was kept
+   */
+  keepIfInMetadata(variant, filePath, site) {
+    const relativePath = path.relative(this.uploadsPath, filePath);
+    const attachment = this.database
+      ? this.database.knownFiles.get(toPosix(relativePath))
+      : null;
+    if (!attachment) {
+      return false;
+    }
+
+    this.metadataFiles.push({
+      path: filePath,
+      filename: variant.filename,
+      baseName: variant.baseName,
+      dimensions: variant.dimensions,
+      relativePath,
+      blogId: site.blogId,
+      attachmentId: attachment.id,
+      dbStatus: "in metadata",
+    });
+    return true;
+  }
+
+  /**
+   * Keep a candidate that is referenced in content (--references)
+   * Returns true if the file was kept
+   */
+  async keepIfReferenced(variant, filePath, site, category) {
+    const relativePath = path.relative(this.uploadsPath, filePath);
+    const reference = this.references
+      ? this.references.get(toPosix(relativePath))
+      : null;
+    if (!reference) {
+      return false;
+    }
+
+    const stat = await fs.stat(filePath);
+    this.referencedFiles.push({
+      path: filePath,
+      filename: variant.filename,
+      size: stat.size,
+      baseName: variant.baseName,
+      dimensions: variant.dimensions,
+      relativePath,
+      blogId: site.blogId,
+      dbStatus: `referenced ${category}`,
+      referenceCount: reference.count,
+      referencedIn: reference.locations,
+    });
+    return true;
+  }
+
+  /**
+   * Check if a size variant with an existing parent has dimensions that no
+   * registered size can produce (--stale-sizes)
+   */
+  async checkIfStale(variant, index, site, parent) {
+    if (
+      findRegisteredSize(variant.width, variant.height, this.registeredSizes)
+    ) {
+      return;
+    }
+
+    // A size the metadata still lists is in use, even if it is no longer
+    // registered (e.g. the theme that added it is gone)
+    const filePath = path.join(index.dirPath, variant.filename);
+    if (this.keepIfInMetadata(variant, filePath, site)) {
+      return;
+    }
+    if (await this.keepIfReferenced(variant, filePath, site, "stale size")) {
+      return;
+    }
+
+    const stat = await fs.stat(filePath);
+    this.orphanedFiles.push({
+      path: filePath,
+      filename: variant.filename,
+      size: stat.size,
+      baseName: variant.baseName,
+      dimensions: variant.dimensions,
+      relativePath: path.relative(this.uploadsPath, filePath),
+      blogId: site.blogId,
+      parent,
+      dbStatus: null,
+      category: "stale size",
+      rule: variant.rule,
+    });
+    this.totalSize += stat.size;
+  }
+
+  /**
+   * Check if an uploads-relative file exists
+   * Uses the directory listings of the scan, other directories are checked on disk
+   */
+  async uploadExists(relativePath) {
+    const dir = path.posix.dirname(relativePath);
+    const listing = this.directoryListings.get(dir === "." ? "" : dir);
+    if (listing) {
+      return listing.has(path.posix.basename(relativePath));
+    }
+
+    try {
+      await fs.access(path.join(this.uploadsPath, relativePath));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Find attachments whose main file, original_image or sizes are missing (--missing)
+   */
+  async findMissingFiles() {
+    for (const attachment of this.database.attachments.values()) {
+      if (this.siteFilter !== null && attachment.blogId !== this.siteFilter) {
+        continue;
+      }
+
+      const files = getMetadataFiles(attachment);
+      const missing = [];
+      for (const entry of files) {
+        if (!(await this.uploadExists(entry.file))) {
+          missing.push(entry);
+        }
+      }
+      if (missing.length === 0) continue;
+
+      // wp media regenerate rebuilds sizes from original_image (or the main file)
+      const source =
+        files.find((entry) => entry.role === "original_image") || files[0];
+
+      this.missingAttachments.push({
+        id: attachment.id,
+        blogId: attachment.blogId,
+        title: attachment.title,
+        totalFiles: files.length,
+        missing,
+        regenerable: !missing.includes(source),
+      });
+    }
+
+    this.missingAttachments.sort((a, b) => a.blogId - b.blogId || a.id - b.id);
+
+    for (const attachment of this.missingAttachments) {
+      for (const entry of attachment.missing) {
+        await this.logToCsv(
+          "MISSING_FILE",
+          path.join(this.uploadsPath, entry.file),
+          0,
+          entry.role,
+          "",
+          "MISSING",
+          `Attachment ${attachment.id}${
+            attachment.regenerable ? "" : " (source missing)"
+          }`,
+          attachment.blogId
+        );
+      }
+    }
+  }
+
+  /**
+   * Display the missing files report and write the regenerate script (--missing)
+   */
+  async displayMissingReport() {
+    console.log("\n" + "=".repeat(60));
+    console.log("🧩 MISSING FILES REPORT");
+    console.log("=".repeat(60));
+
+    if (this.missingAttachments.length === 0) {
+      console.log("\n✅ Every file listed in attachment metadata is on disk!");
+      await this.logToCsv(
+        "MISSING_COMPLETE",
+        "",
+        0,
+        "",
+        "",
+        "SUCCESS",
+        "No missing files found"
+      );
+      return;
+    }
+
+    let currentBlog;
+    for (const attachment of this.missingAttachments) {
+      if (this.multisite && attachment.blogId !== currentBlog) {
+        currentBlog = attachment.blogId;
+        console.log(`\n🌐 SITE ${currentBlog}`);
+      }
+
+      console.log(
+        `\n📎 Attachment ${attachment.id}${
+          attachment.title ? ` "${attachment.title}"` : ""
+        } - ${attachment.missing.length} of ${
+          attachment.totalFiles
+        } files missing${attachment.regenerable ? "" : " (source missing)"}`
+      );
+      attachment.missing.forEach((entry) => {
+        console.log(`   ❌ ${entry.role}: ${entry.file}`);
+      });
+    }
+
+    const missingFiles = this.missingAttachments.reduce(
+      (total, attachment) => total + attachment.missing.length,
+      0
+    );
+    const unrecoverable = this.missingAttachments.filter(
+      (attachment) => !attachment.regenerable
+    );
+
+    console.log("\n" + "=".repeat(60));
+    console.log("📊 SUMMARY:");
+    console.log(
+      `   Attachments with missing files: ${this.missingAttachments.length}`
+    );
+    console.log(`   Missing files: ${missingFiles}`);
+    if (unrecoverable.length > 0) {
+      console.log(
+        `   Source file missing (cannot be regenerated): ${unrecoverable.length}`
+      );
+    }
+
+    if (this.regenerateScript) {
+      await this.writeRegenerateScript();
+    } else {
+      console.log(
+        "\n💡 Use --regenerate-script <file.sh> to write wp media regenerate commands"
+      );
+    }
+
+    await this.logToCsv(
+      "MISSING_COMPLETE",
+      "",
+      0,
+      "",
+      "",
+      "SUCCESS",
+      `${this.missingAttachments.length} attachments with ${missingFiles} missing files`
+    );
+  }
+
+  /**
+   * Write a shell script with wp media regenerate commands (--regenerate-script)
+   * Attachments whose source file is missing are listed as comments only.
+   */
+  async writeRegenerateScript() {
+    const lines = [
+      "#!/bin/sh",
+      "# Regenerate attachment sizes missing on disk",
+      `# Generated by wp-orphan-image-cleaner on ${new Date().toISOString()}`,
+      "set -e",
+    ];
+
+    const blogIds = [
+      ...new Set(
+        this.missingAttachments.map((attachment) => attachment.blogId)
+      ),
+    ];
+    for (const blogId of blogIds) {
+      const attachments = this.missingAttachments.filter(
+        (attachment) => attachment.blogId === blogId
+      );
+      const ids = attachments
+        .filter((attachment) => attachment.regenerable)
+        .map((attachment) => attachment.id);
+      const lost = attachments
+        .filter((attachment) => !attachment.regenerable)
+        .map((attachment) => attachment.id);
+
+      // Subsites need their URL - taken from SITE_URL_<blog_id>
+      const url =
+        blogId === 1
+          ? ""
+          : ` --url="\${SITE_URL_${blogId}:?Set SITE_URL_${blogId} to the URL of site ${blogId}}"`;
+
+      lines.push("", `# Site ${blogId}`);
+      for (let i = 0; i < ids.length; i += REGENERATE_BATCH_SIZE) {
+        lines.push(
+          `wp media regenerate ${ids
+            .slice(i, i + REGENERATE_BATCH_SIZE)
+            .join(" ")} --only-missing --yes${url}`
+        );
+      }
+      if (lost.length > 0) {
+        lines.push(
+          `# Source file missing, re-upload to fix: ${lost.join(" ")}`
+        );
+      }
+    }
+
+    await fs.mkdir(path.dirname(this.regenerateScript), { recursive: true });
+    await fs.writeFile(this.regenerateScript, lines.join("\n") + "\n", {
+      mode: 0o755,
+    });
+    console.log(`\n📜 Regenerate script written to: ${this.regenerateScript}`);
+
+    await this.logToCsv(
+      "REGENERATE_SCRIPT",
+      this.regenerateScript,
+      0,
+      "",
+      "",
+      "SUCCESS",
+      `${
+        this.missingAttachments.filter((attachment) => attachment.regenerable)
+          .length
+      } attachments`
+    );
+  }
+
+  /**
+   * Display scan results
+   */
+  displayResults(isDryRun = false) {
+    console.log("\n" + "=".repeat(60));
+    console.log(isDryRun ? "🔍 DRY RUN RESULTS" : "📋 ORPHANED FILES FOUND");
+    console.log("=".repeat(60));
+
+    if (this.orphanedFiles.length === 0) {
+      console.log("✅ No orphaned image size files found!");
+      return;
+    }
+
+    const bySite = this.groupBySite(this.orphanedFiles);
+
+    bySite.forEach(({ blogId, files }) => {
+      if (blogId !== null) {
+        console.log(`\n🌐 SITE ${blogId}`);
+        console.log("-".repeat(60));
+      }
+
+      // Group by directory for better organization
+      const byDirectory = {};
+      files.forEach((file) => {
+        const dir = path.dirname(file.relativePath);
+        if (!byDirectory[dir]) byDirectory[dir] = [];
+        byDirectory[dir].push(file);
+      });
+
+      Object.keys(byDirectory)
+        .sort()
+        .forEach((dir) => {
+          console.log(`\n📁 ${dir}/`);
+          byDirectory[dir].forEach((file) => {
+            const label = [
+              file.category === "stale size" && "stale size",
+              file.category === "unattached original" &&
+                (file.dimensions === "original"
+                  ? "unattached original"
+                  : `unattached: ${path.basename(file.group)}`),
+              file.category !== "unattached original" && file.dbStatus,
+            ]
+              .filter(Boolean)
+              .map((text) => ` [${text}]`)
+              .join("");
+            console.log(
+              `   🗑️  ${file.filename} (${
+                file.dimensions
+              }) - ${this.formatBytes(file.size)}${label}`
+            );
+          });
+        });
+    });
+
+    if (this.metadataFiles.length > 0) {
+      console.log(
+        `\n🗄️  Kept ${this.metadataFiles.length} candidates listed in attachment metadata:`
+      );
+      this.metadataFiles.forEach((file) => {
+        console.log(
+          `   📎 ${file.relativePath} [in metadata] - attachment ${file.attachmentId}`
+        );
+      });
+    }
+
+    if (this.referencedFiles.length > 0) {
+      console.log(
+        `\n🔗 Kept ${this.referencedFiles.length} referenced orphans (still used in content):`
+      );
+      this.referencedFiles.forEach((file) => {
+        console.log(`   📌 ${file.relativePath} [referenced orphan]`);
+        file.referencedIn.forEach((location) => {
+          console.log(`      ↳ ${location}`);
+        });
+        if (file.referenceCount > file.referencedIn.length) {
+          console.log(
+            `      ↳ ... ${file.referenceCount - file.referencedIn.length} more`
+          );
+        }
+      });
+    }
+
+    if (this.protectedFiles.length > 0) {
+      console.log(
+        `\n🛡️  Kept ${this.protectedFiles.length} main files whose original is missing:`
+      );
+      this.protectedFiles.forEach((file) => {
+        console.log(
+          `   🔒 ${file.relativePath}${
+            file.preview ? " (preview-like name, document missing)" : ""
+          }`
+        );
+      });
+      console.log(
+        "   Use --aggressive-parents to treat -scaled/edited files as orphans, --db-dump to check previews."
+      );
+    }
+
+    console.log("\n" + "=".repeat(60));
+    console.log(`📊 SUMMARY:`);
+    console.log(`   Orphaned files: ${this.orphanedFiles.length}`);
+    console.log(`   Total size: ${this.formatBytes(this.totalSize)}`);
+
+    const staleFiles = this.orphanedFiles.filter(
+      (file) => file.category === "stale size"
+    );
+    if (staleFiles.length > 0) {
+      console.log(
+        `   Stale sizes (parent exists, unregistered dimensions): ${
+          staleFiles.length
+        }, ${this.formatBytes(
+          staleFiles.reduce((total, file) => total + file.size, 0)
+        )}`
+      );
+    }
+
+    const unattachedFiles = this.orphanedFiles.filter(
+      (file) => file.category === "unattached original"
+    );
+    if (unattachedFiles.length > 0) {
+      const groups = new Set(unattachedFiles.map((file) => file.group));
+      console.log(
+        `   Unattached originals: ${groups.size} groups, ${
+          unattachedFiles.length
+        } files, ${this.formatBytes(
+          unattachedFiles.reduce((total, file) => total + file.size, 0)
+        )}`
+      );
+    }
+
+    if (this.multisite) {
+      bySite.forEach(({ blogId, files, size }) => {
+        console.log(
+          `   Site ${blogId}: ${files.length} files, ${this.formatBytes(size)}`
+        );
+      });
+    }
+
+    if (isDryRun) {
+      console.log(
+        "\n💡 Run with --delete to actually remove these files (with backup)"
+      );
+    }
+  }
+
+  /**
+   * Group files by blog id (ordered by blog id, null for single-site runs)
+   */
+  groupBySite(files) {
+    const groups = new Map();
+    files.forEach((file) => {
+      const blogId = file.blogId ?? null;
+      if (!groups.has(blogId)) {
+        groups.set(blogId, { blogId, files: [], size: 0 });
+      }
+      const group = groups.get(blogId);
+      group.files.push(file);
+      group.size += file.size;
+    });
+
+    return Array.from(groups.values()).sort(
+      (a, b) => (a.blogId ?? 0) - (b.blogId ?? 0)
+    );
+  }
+
+  /**
+   * Delete orphaned files with backup
+   */
+  async deleteWithBackup() {
+    if (this.orphanedFiles.length === 0) {
+      console.log("✅ No orphaned files to delete!");
+      await this.logToCsv(
+        "DELETE_OPERATION",
+        "",
+        0,
+        "",
+        "",
+        "SUCCESS",
+        "No orphaned files to delete"
+      );
+      return { deleted: 0, failed: 0, backupPath: null };
+    }
+
+    this.displayResults(false);
+
+    console.log("\n📦 Creating backup before deletion...");
+    await this.createSimpleBackup();
+    await this.logToCsv(
+      "BACKUP_CREATED",
+      this.backupPath,
+      this.totalSize,
+      "",
+      "",
+      "SUCCESS",
+      `Backup created with ${this.orphanedFiles.length} files`
+    );
+    await this.verifyBackupBeforeDelete();
+
+    console.log("🗑️  Deleting orphaned files...");
+    let deletedCount = 0;
+    let failedCount = 0;
+
+    for (const file of this.orphanedFiles) {
+      try {
+        await fs.unlink(file.path);
+        deletedCount++;
+        console.log(`   ✅ Deleted: ${file.relativePath}`);
+        await this.logToCsv(
+          "FILE_DELETED",
+          file.path,
+          file.size,
+          file.dimensions,
+          file.baseName,
+          "SUCCESS",
+          "",
+          file.blogId
+        );
+      } catch (error) {
+        failedCount++;
+        console.log(
+          `   ❌ Failed to delete: ${file.relativePath} - ${error.message}`
+        );
+        await this.logToCsv(
+          "FILE_DELETE_FAILED",
+          file.path,
+          file.size,
+          file.dimensions,
+          file.baseName,
+          "ERROR",
+          error.message,
+          file.blogId
+        );
+      }
+    }
+
+    // Log summary
+    await this.logToCsv(
+      "DELETE_SUMMARY",
+      "",
+      this.totalSize,
+      "",
+      "",
+      "SUCCESS",
+      `${deletedCount} deleted, ${failedCount} failed`
+    );
+
+    console.log("\n" + "=".repeat(60));
+    console.log("✅ CLEANUP COMPLETE!");
+    console.log("=".repeat(60));
+    console.log(`📊 Results:`);
+    console.log(`   Files deleted: ${deletedCount}`);
+    console.log(`   Failed deletions: ${failedCount}`);
+    console.log(`   Space freed: ${this.formatBytes(this.totalSize)}`);
+    console.log(`\n💾 Backup created: ${this.backupPath}`);
+    console.log(`📝 Log saved: ${this.logPath}`);
+    console.log(
+      `\n🔄 To restore files manually, extract: ${path.basename(
+        this.backupPath
+      )}`
+    );
+
+    // Add convenient restore command
+    const backupFileName = path.basename(this.backupPath);
+    console.log(`\n📋 To restore using this script, copy and paste:`);
+    console.log(`   node app.js --restore ${backupFileName}`);
+    console.log(`   node app.js --restore ${backupFileName} --delete`);
+    console.log(`   (Use --delete to cleanup ZIP file after restore)`);
+
+    return {
+      deleted: deletedCount,
+      failed: failedCount,
+      backupPath: this.backupPath,
+    };
+  }
+
+  /**
+   * Make sure the quarantine directory can't be scanned or served as uploads
+   */
+  checkQuarantineDir() {
+    if (isInside(this.quarantineDir, this.uploadsPath)) {
+      throw new Error(
+        `Quarantine directory ${this.quarantineDir} is inside the uploads directory - use --quarantine-dir to move it out`
+      );
+    }
+    if (isInside(this.quarantineDir, path.resolve(this.uploadsPath, "../.."))) {
+      console.log(
+        `⚠️  Quarantine directory is inside the WordPress directory and may be web-served`
+      );
+    }
+  }
+
+  /**
+   * Warn when backups would be written into the public uploads directory
+   */
+  checkBackupDir() {
+    if (isInside(this.backupDir, this.uploadsPath)) {
+      console.log(
+        `⚠️  Backup directory is inside the public uploads directory - anyone who guesses a ZIP name can download it. Use --backup-dir to move it out.`
+      );
+    }
+  }
+
+  /**
+   * Move backups older versions left in the uploads directory to the backup
+   * directory (--migrate-backups). Their -temp copies are removed once the
+   * moved ZIP checks out.
+   */
+  async migrateBackups() {
+    if (this.backupDir === this.legacyBackupDir) {
+      throw new Error(
+        "The backup directory is the uploads directory - set --backup-dir (or backupDir) to where backups should go"
+      );
+    }
+
+    const legacy = (await this.listBackups()).filter((backup) => backup.legacy);
+    if (legacy.length === 0) {
+      console.log(`✅ No backups left in ${this.legacyBackupDir}`);
+      await this.logToCsv(
+        "MIGRATE_BACKUPS_COMPLETE",
+        this.legacyBackupDir,
+        0,
+        "",
+        "",
+        "SUCCESS",
+        "Nothing to migrate"
+      );
+      return;
+    }
+
+    console.log(
+      `🚚 Moving ${legacy.length} backups from ${this.legacyBackupDir} to ${this.backupDir}...`
+    );
+    let movedCount = 0;
+    let failedCount = 0;
+    for (const backup of legacy) {
+      const target = path.join(this.backupDir, backup.name);
+      try {
+        const { size } = await fs.stat(backup.path);
+        await moveFile(backup.path, target);
+        movedCount++;
+        console.log(`   ✅ Moved: ${backup.name} (${this.formatBytes(size)})`);
+        await this.logToCsv(
+          "BACKUP_MIGRATED",
+          target,
+          size,
+          "",
+          "",
+          "SUCCESS",
+          `From ${backup.path}`
+        );
+      } catch (error) {
+        failedCount++;
+        console.log(`   ❌ Failed to move: ${backup.name} - ${error.message}`);
+        await this.logToCsv(
+          "BACKUP_MIGRATE_FAILED",
+          backup.path,
+          0,
+          "",
+          "",
+          "ERROR",
+          error.message
+        );
+        continue;
+      }
+
+      // The -temp directory holds the same files, unzipped and public
+      const tempDir = backup.path.replace(/\.zip$/, "-temp");
+      if (!fsSync.existsSync(tempDir)) continue;
+      const { problems } = await verifyBackup(target).catch((error) => ({
+        problems: [{ problem: error.message }],
+      }));
+      if (problems.length > 0) {
+        console.log(
+          `   ⚠️  Kept ${tempDir}: the moved ZIP failed verification (${problems[0].problem})`
+        );
+        continue;
+      }
+      await fs.rm(tempDir, { recursive: true });
+      console.log(`   🧹 Removed public copy: ${path.basename(tempDir)}`);
+      await this.logToCsv(
+        "BACKUP_TEMP_REMOVED",
+        tempDir,
+        0,
+        "",
+        "",
+        "SUCCESS",
+        `Copy of ${backup.name}`
+      );
+    }
+
+    await this.logToCsv(
+      "MIGRATE_BACKUPS_COMPLETE",
+      this.backupDir,
+      0,
+      "",
+      "",
+      "SUCCESS",
+      `${movedCount} moved, ${failedCount} failed`
+    );
+    console.log(
+      `\n✅ Migration complete! ${movedCount} backups moved${
+        failedCount > 0 ? `, ${failedCount} failed` : ""
+      }.`
+    );
+  }
+
+  /**
+   * Move orphaned files into the quarantine tree instead of deleting them
+   * (--quarantine). Nothing is zipped - releasing a file is a move back.
+   */
+  async quarantineFiles() {
+    const index = await readIndex(this.quarantineDir, this.uploadsPath);
+    const timestamp = new Date()
+      .toISOString()
+      .replace(/[:.]/g, "-")
+      .slice(0, 19);
+    const batch = `${this.backupPrefix}-${timestamp}`;
+
+    console.log(
+      `\n🚧 Moving ${
+        this.orphanedFiles.length
+      } files to quarantine: ${path.join(this.quarantineDir, batch)}`
+    );
+
+    let movedCount = 0;
+    let movedSize = 0;
+    let failedCount = 0;
+    try {
+      for (const file of this.orphanedFiles) {
+        const entry = {
+          path: toPosix(file.relativePath),
+          batch,
+          quarantined: new Date().toISOString(),
+          size: file.size,
+          baseName: file.baseName,
+          dimensions: file.dimensions,
+          blogId: file.blogId,
+          category: file.category,
+          rule: file.rule,
+          group: file.group,
+          dbStatus: file.dbStatus,
+        };
+        const target = getQuarantinePath(this.quarantineDir, entry);
+
+        try {
+          await moveFile(file.path, target);
+          index.files.push(entry);
+          movedCount++;
+          movedSize += file.size;
+          console.log(`   🚧 Quarantined: ${file.relativePath}`);
+          await this.logToCsv(
+            "FILE_QUARANTINED",
+            file.path,
+            file.size,
+            file.dimensions,
+            file.baseName,
+            "SUCCESS",
+            target,
+            file.blogId
+          );
+        } catch (error) {
+          failedCount++;
+          console.log(
+            `   ❌ Failed to quarantine: ${file.relativePath} - ${error.message}`
+          );
+          await this.logToCsv(
+            "FILE_QUARANTINE_FAILED",
+            file.path,
+            file.size,
+            file.dimensions,
+            file.baseName,
+            "ERROR",
+            error.message,
+            file.blogId
+          );
+        }
+      }
+    } finally {
+      // Record whatever was moved, even if the run is interrupted by an error
+      await writeIndex(this.quarantineDir, index);
+    }
+
+    await this.logToCsv(
+      "QUARANTINE_COMPLETE",
+      path.join(this.quarantineDir, batch),
+      movedSize,
+      "",
+      "",
+      "SUCCESS",
+      `${movedCount} quarantined, ${failedCount} failed`
+    );
+
+    console.log("\n" + "=".repeat(60));
+    console.log("✅ QUARANTINE COMPLETE!");
+    console.log("=".repeat(60));
+    console.log(`📊 Results:`);
+    console.log(`   Files quarantined: ${movedCount}`);
+    console.log(`   Failed: ${failedCount}`);
+    console.log(`   Space held: ${this.formatBytes(movedSize)}`);
+    console.log(`   Quarantine index: ${index.files.length} files in total`);
+    console.log(`📝 Log saved: ${this.logPath}`);
+    console.log(`\n📋 To put files back or delete them for good:`);
+    console.log(`   node app.js --release "2021/04/*"`);
+    console.log(`   node app.js --purge-quarantine --older-than 30d`);
+  }
+
+  /**
+   * Move quarantined files matching a glob back into uploads (--release)
+   * Patterns without a slash are also matched against file names.
+   */
+  async releaseFromQuarantine(pattern) {
+    const index = await readIndex(this.quarantineDir, this.uploadsPath);
+    const matches = index.files.filter((entry) =>
+      matchesPathOrName(entry.path, pattern)
+    );
+
+    if (matches.length === 0) {
+      console.log(`✅ No quarantined files match ${pattern}`);
+      await this.logToCsv(
+        "RELEASE_COMPLETE",
+        "",
+        0,
+        "",
+        "",
+        "SUCCESS",
+        `No quarantined files match ${pattern}`
+      );
+      return;
+    }
+
+    console.log(`↩️  Releasing ${matches.length} files matching ${pattern}...`);
+    let releasedCount = 0;
+    let failedCount = 0;
+    try {
+      for (const entry of matches) {
+        const source = getQuarantinePath(this.quarantineDir, entry);
+        const target = path.join(this.uploadsPath, ...entry.path.split("/"));
+        try {
+          await moveFile(source, target);
+          index.files.splice(index.files.indexOf(entry), 1);
+          await removeEmptyDirs(path.dirname(source), this.quarantineDir);
+          releasedCount++;
+          console.log(`   ✅ Released: ${entry.path}`);
+          await this.logToCsv(
+            "FILE_RELEASED",
+            target,
+            entry.size,
+            entry.dimensions,
+            entry.baseName,
+            "SUCCESS",
+            `From ${entry.batch}`,
+            entry.blogId
+          );
+        } catch (error) {
+          failedCount++;
+          console.log(
+            `   ❌ Failed to release: ${entry.path} - ${error.message}`
+          );
+          await this.logToCsv(
+            "FILE_RELEASE_FAILED",
+            target,
+            entry.size,
+            entry.dimensions,
+            entry.baseName,
+            "ERROR",
+            error.message,
+            entry.blogId
+          );
+        }
+      }
+    } finally {
+      await writeIndex(this.quarantineDir, index);
+    }
+
+    await this.logToCsv(
+      "RELEASE_COMPLETE",
+      "",
+      0,
+      "",
+      "",
+      "SUCCESS",
+      `${releasedCount} released, ${failedCount} failed (${pattern})`
+    );
+    console.log(
+      `\n✅ Release complete! ${releasedCount} files moved back${
+        failedCount > 0 ? `, ${failedCount} failed` : ""
+      }. ${index.files.length} files left in quarantine.`
+    );
+  }
+
+  /**
+   * Delete quarantined files older than maxAgeMs for good (--purge-quarantine)
+   */
+  async purgeQuarantine(maxAgeMs) {
+    const index = await readIndex(this.quarantineDir, this.uploadsPath);
+    const cutoff = Date.now() - maxAgeMs;
+    const expired = index.files.filter(
+      (entry) => Date.parse(entry.quarantined) <= cutoff
+    );
+
+    if (expired.length === 0) {
+      console.log(
+        `✅ Nothing in quarantine is older than ${this.olderThan} (${index.files.length} files kept)`
+      );
+      await this.logToCsv(
+        "PURGE_COMPLETE",
+        "",
+        0,
+        "",
+        "",
+        "SUCCESS",
+        `Nothing older than ${this.olderThan}`
+      );
+      return;
+    }
+
+    console.log(
+      `🔥 Purging ${expired.length} files quarantined more than ${this.olderThan} ago...`
+    );
+    let purgedCount = 0;
+    let purgedSize = 0;
+    let failedCount = 0;
+    try {
+      for (const entry of expired) {
+        const source = getQuarantinePath(this.quarantineDir, entry);
+        try {
+          await fs.unlink(source).catch((error) => {
+            // Already removed by hand - just drop it from the index
+            if (error.code !== "ENOENT") throw error;
+          });
+          index.files.splice(index.files.indexOf(entry), 1);
+          await removeEmptyDirs(path.dirname(source), this.quarantineDir);
+          purgedCount++;
+          purgedSize += entry.size;
+          console.log(`   🔥 Purged: ${entry.path} (${entry.batch})`);
+          await this.logToCsv(
+            "FILE_PURGED",
+            source,
+            entry.size,
+            entry.dimensions,
+            entry.baseName,
+            "SUCCESS",
+            `Quarantined ${entry.quarantined}`,
+            entry.blogId
+          );
+        } catch (error) {
+          failedCount++;
+          console.log(
+            `   ❌ Failed to purge: ${entry.path} - ${error.message}`
+          );
+          await this.logToCsv(
+            "FILE_PURGE_FAILED",
+            source,
+            entry.size,
+            entry.dimensions,
+            entry.baseName,
+            "ERROR",
+            error.message,
+            entry.blogId
+          );
+        }
+      }
+    } finally {
+      await writeIndex(this.quarantineDir, index);
+    }
+
+    await this.logToCsv(
+      "PURGE_COMPLETE",
+      "",
+      purgedSize,
+      "",
+      "",
+      "SUCCESS",
+      `${purgedCount} purged, ${failedCount} failed (older than ${this.olderThan})`
+    );
+    console.log(
+      `\n✅ Purge complete! ${purgedCount} files (${this.formatBytes(
+        purgedSize
+      )}) deleted for good. ${index.files.length} files left in quarantine.`
+    );
+  }
+
+  /**
+   * Let the user pick the files to delete in the terminal (--interactive)
+   * The selection is deleted with the normal backup flow or saved as a plan.
+   */
+  async reviewInteractively() {
+    const review = new InteractiveReview(this.orphanedFiles, {
+      formatBytes: (bytes) => this.formatBytes(bytes),
+      defaultPlanPath: this.planOutPath
+        ? path.relative(process.cwd(), this.planOutPath)
+        : "plan.json",
+    });
+    const { action, files, planPath } = await review.run();
+
+    const found = this.orphanedFiles.length;
+    this.orphanedFiles = files;
+    this.totalSize = files.reduce((total, f) => total + f.size, 0);
+
+    await this.logToCsv(
+      "REVIEW_COMPLETE",
+      planPath ? path.resolve(planPath) : "",
+      this.totalSize,
+      "",
+      "",
+      action === "quit" ? "CANCELLED" : "SUCCESS",
+      action === "quit"
+        ? `Review cancelled, ${found} candidates left untouched`
+        : `${files.length} of ${found} candidates selected for ${
+            action === "delete" ? "deletion" : "a plan"
+          }`
+    );
+
+    if (action === "quit") {
+      console.log("👋 Review cancelled - nothing was deleted");
+      return;
+    }
+
+    console.log(
+      `✅ Selected ${files.length} of ${found} files (${this.formatBytes(
+        this.totalSize
+      )})`
+    );
+
+    if (action === "plan") {
+      this.planOutPath = path.resolve(planPath);
+      await this.writePlan();
+      return;
+    }
+
+    // deleteWithBackup lists the selection before backing it up
+    await this.deleteWithBackup();
+  }
+
+  /**
+   * Serve the scan results to a local web dashboard (--serve)
+   * Deletes and restores started from the browser use the normal backup and
+   * restore flow, followed by a new scan. Runs until Ctrl+C.
+   */
+  async serveDashboard() {
+    const rescan = async () => {
+      this.resetScan();
+      await this.scanForOrphans();
+    };
+
+    const dashboard = await startDashboard(
+      {
+        getCandidates: () => this.orphanedFiles,
+        getSummary: () => ({
+          uploads: this.uploadsPath,
+          totalScanned: this.totalScanned,
+          totalSize: this.totalSize,
+        }),
+        listBackups: () =>
+          this.listBackups()
+            .then((backups) => backups.map((backup) => backup.name))
+            .catch(() => []),
+        deleteFiles: async (relativePaths) => {
+          const paths = new Set(relativePaths);
+          this.orphanedFiles = this.orphanedFiles.filter((f) =>
+            paths.has(toPosix(f.relativePath))
+          );
+          this.totalSize = this.orphanedFiles.reduce(
+            (total, f) => total + f.size,
+            0
+          );
+          let result;
+          try {
+            result = await this.deleteWithBackup();
+          } finally {
+            await rescan();
+          }
+          return {
+            ...result,
+            message: `Deleted ${result.deleted} files${
+              result.failed > 0 ? `, ${result.failed} failed` : ""
+            } - backup: ${path.basename(result.backupPath)}`,
+          };
+        },
+        restoreBackup: async (backupFileName) => {
+          let result;
+          try {
+            result = await this.restoreFromBackup(backupFileName);
+          } finally {
+            await rescan();
+          }
+          return {
+            ...result,
+            message: `Restored ${result.restored} files from ${backupFileName}${
+              result.failed > 0 ? `, ${result.failed} failed` : ""
+            }`,
+          };
+        },
+        rescan: async () => {
+          await rescan();
+          return {
+            message: `Scanned ${this.totalScanned} files - ${this.orphanedFiles.length} candidates`,
+          };
+        },
+      },
+      { host: this.host, port: this.port }
+    );
+
+    console.log(`\n🌐 Dashboard running at ${dashboard.url}`);
+    if (!dashboard.loopback) {
+      console.log(
+        `⚠️  Listening on ${this.host} - anyone who can reach it can delete files`
+      );
+    }
+    console.log("   Press Ctrl+C to stop.");
+    await this.logToCsv(
+      "DASHBOARD_STARTED",
+      dashboard.url,
+      this.totalSize,
+      "",
+      "",
+      "SUCCESS",
+      `${this.orphanedFiles.length} candidates`
+    );
+
+    await new Promise((resolve) => process.once("SIGINT", resolve));
+    await dashboard.close();
+    console.log("\n👋 Dashboard stopped");
+  }
+
+  /**
+   * Forget the results of a previous scan before scanning again
+   */
+  resetScan() {
+    this.orphanedFiles = [];
+    this.protectedFiles = [];
+    this.metadataFiles = [];
+    this.referencedFiles = [];
+    this.totalScanned = 0;
+    this.directoriesScanned = 0;
+    this.totalSize = 0;
+  }
+
+  /**
+   * Write the candidates of a dry run to a plan file (--plan-out)
+   */
+  async writePlan() {
+    const key = process.env[PLAN_KEY_ENV] || null;
+    console.log(
+      `\n📋 Hashing ${this.orphanedFiles.length} files for the plan...`
+    );
+
+    const plan = await createPlan(
+      this.orphanedFiles.map((f) => ({
+        path: f.path,
+        relativePath: f.relativePath,
+        blogId: f.blogId,
+        baseName: f.baseName,
+        dimensions: f.dimensions,
+        category: f.category,
+        rule: f.rule,
+        group: f.group,
+        dbStatus: f.dbStatus,
+      })),
+      {
+        uploadsPath: this.uploadsPath,
+        options: {
+          layout: this.layout,
+          multisite: this.multisite,
+          site: this.siteFilter,
+          aggressiveParents: this.aggressiveParents,
+          dbDump: this.dbDumpPath,
+          references: this.referencesPath,
+          staleSizes: this.staleSizes,
+          sizes: this.sizesSource,
+          orphanedOriginals: this.orphanedOriginals,
+        },
+        key,
+      }
+    );
+
+    await fs.mkdir(path.dirname(this.planOutPath), { recursive: true });
+    await fs.writeFile(this.planOutPath, JSON.stringify(plan, null, 2));
+
+    console.log(
+      `📋 Plan written: ${this.planOutPath} (${plan.totalFiles} files, ${
+        key ? `signed with ${PLAN_KEY_ENV}` : "sha256 digest"
+      })`
+    );
+    console.log(`   Review it, then run: node app.js --clean --plan <file>`);
+
+    await this.logToCsv(
+      "PLAN_WRITTEN",
+      this.planOutPath,
+      plan.totalSize,
+      "",
+      "",
+      "SUCCESS",
+      `${plan.totalFiles} files, ${plan.integrity.algorithm} ${plan.integrity.digest}`
+    );
+  }
+
+  /**
+   * Limit the candidates to the files of a reviewed plan (--plan)
+   * Planned files are only kept when they are unchanged on disk and still
+   * flagged by the scan. New candidates are reported, never deleted.
+   */
+  async applyPlan() {
+    const plan = await readPlan(
+      this.planPath,
+      process.env[PLAN_KEY_ENV] || null
+    );
+    if (path.resolve(plan.uploads) !== path.resolve(this.uploadsPath)) {
+      throw new Error(
+        `Plan ${this.planPath} was written for ${plan.uploads}, not ${this.uploadsPath}`
+      );
+    }
+
+    console.log(`\n📋 Executing plan: ${this.planPath}`);
+    console.log(
+      `   Written ${plan.created}: ${plan.totalFiles} files, ${this.formatBytes(
+        plan.totalSize
+      )}`
+    );
+    await this.logToCsv(
+      "PLAN_LOADED",
+      this.planPath,
+      plan.totalSize,
+      "",
+      "",
+      "SUCCESS",
+      `${plan.totalFiles} files, written ${plan.created}`
+    );
+
+    const scanned = new Map(
+      this.orphanedFiles.map((file) => [toPosix(file.relativePath), file])
+    );
+    const planned = new Set(plan.files.map((entry) => entry.path));
+    const approved = [];
+    const skipped = [];
+
+    for (const entry of plan.files) {
+      const reason =
+        (await checkPlanEntry(entry, this.uploadsPath)) ||
+        (scanned.has(entry.path)
+          ? null
+          : "no longer flagged by the scan (use the same options as the dry run)");
+      if (reason) {
+        skipped.push({ entry, reason });
+      } else {
+        approved.push(scanned.get(entry.path));
+      }
+    }
+    const newFiles = this.orphanedFiles.filter(
+      (file) => !planned.has(toPosix(file.relativePath))
+    );
+
+    console.log(`   ✅ Unchanged and still flagged: ${approved.length}`);
+    if (skipped.length > 0) {
+      console.log(`   ⚠️  Skipped: ${skipped.length}`);
+      for (const { entry, reason } of skipped) {
+        console.log(`      ⚠️  ${entry.path} - ${reason}`);
+        await this.logToCsv(
+          "PLAN_FILE_SKIPPED",
+          path.join(this.uploadsPath, entry.path),
+          entry.size,
+          entry.dimensions,
+          entry.baseName,
+          "SKIPPED",
+          reason,
+          entry.blogId
+        );
+      }
+    }
+    if (newFiles.length > 0) {
+      console.log(
+        `   🆕 New candidates not in the plan (not deleted): ${newFiles.length}`
+      );
+      for (const file of newFiles) {
+        console.log(`      🆕 ${toPosix(file.relativePath)}`);
+        await this.logToCsv(
+          "PLAN_NEW_CANDIDATE",
+          file.path,
+          file.size,
+          file.dimensions,
+          file.baseName,
+          "SKIPPED",
+          "Not in plan",
+          file.blogId
+        );
+      }
+    }
+
+    this.orphanedFiles = approved;
+    this.totalSize = approved.reduce((total, file) => total + file.size, 0);
+  }
+
+  /**
+   * Create backup zip file
+   * Files are streamed from their place in uploads straight into the archive
+   * - no intermediate copy on disk - and hashed on the way. The manifest with
+   * each file's size and SHA-256 is the last entry.
+   */
+  async createSimpleBackup() {
+    const timestamp = new Date()
+      .toISOString()
+      .replace(/[:.]/g, "-")
+      .slice(0, 19);
+
+    await fs.mkdir(this.backupDir, { recursive: true });
+
+    // Backups made in the same second get a numbered name (-1, -2, ...) -
+    // an existing backup is never overwritten
+    let zipPath;
+    let output;
+    for (let attempt = 0; ; attempt++) {
+      zipPath = path.join(
+        this.backupDir,
+        `${this.backupPrefix}-${timestamp}${
+          attempt > 0 ? `-${attempt}` : ""
+        }.zip`
+      );
+      output = fsSync.createWriteStream(zipPath, { flags: "wx" });
+      try {
+        await once(output, "open");
+        break;
+      } catch (error) {
+        if (error.code !== "EEXIST") throw error;
+      }
+    }
+    this.backupPath = zipPath;
+
+    // Create manifest
+    const manifest = {
+      created: new Date().toISOString(),
+      totalFiles: this.orphanedFiles.length,
+      totalSize: this.totalSize,
+      files: this.orphanedFiles.map((f) => ({
+        path: toPosix(f.relativePath),
+        size: f.size,
+        baseName: f.baseName,
+        dimensions: f.dimensions,
+        blogId: f.blogId,
+        parentCandidates: f.parentCandidates,
+        dbStatus: f.dbStatus,
+        category: f.category,
+        rule: f.rule,
+        group: f.group,
+      })),
+    };
+
+    // Per-site totals for multisite backups
+    if (this.multisite) {
+      manifest.sites = {};
+      this.groupBySite(this.orphanedFiles).forEach(
+        ({ blogId, files, size }) => {
+          manifest.sites[blogId] = {
+            totalFiles: files.length,
+            totalSize: size,
+            files: files.map((f) => toPosix(f.relativePath)),
+          };
+        }
+      );
+    }
+
+    const archiver = require("archiver");
+    const archive = archiver("zip", { zlib: { level: 9 } });
+
+    // Report progress every 10% of the bytes to archive
+    const totalBytes = this.totalSize;
+    let archivedBytes = 0;
+    let reportedStep = 0;
+    const reportProgress = (bytes) => {
+      archivedBytes += bytes;
+      const step = Math.floor((archivedBytes / totalBytes) * 10);
+      if (step > reportedStep && step < 10) {
+        reportedStep = step;
+        console.log(
+          `   📦 Archived ${this.formatBytes(
+            archivedBytes
+          )} of ${this.formatBytes(totalBytes)} (${step * 10}%)`
+        );
+      }
+    };
+
+    // Add one file at a time (only one is open) and record what was read
+    const addFile = async (file, entry) => {
+      const stat = await fs.stat(file.path);
+      const hash = crypto.createHash("sha256");
+      let size = 0;
+      const hashing = new Transform({
+        transform(chunk, encoding, callback) {
+          hash.update(chunk);
+          size += chunk.length;
+          reportProgress(chunk.length);
+          callback(null, chunk);
+        },
+      });
+      const source = fsSync.createReadStream(file.path);
+      source.on("error", (error) => hashing.destroy(error));
+
+      const added = new Promise((resolve, reject) => {
+        archive.once("entry", resolve);
+        hashing.once("error", reject);
+      });
+      archive.append(source.pipe(hashing), {
+        name: entry.path,
+        date: stat.mtime,
+        mode: stat.mode,
+      });
+      await added;
+
+      entry.size = size;
+      entry.sha256 = hash.digest("hex");
+    };
+
+    try {
+      await new Promise((resolve, reject) => {
+        output.on("close", resolve);
+        output.on("error", reject);
+        archive.on("error", reject);
+        // A file that can't be read must fail the backup, not be skipped
+        archive.on("warning", reject);
+        archive.pipe(output);
+
+        const addFiles = async () => {
+          for (const [i, file] of this.orphanedFiles.entries()) {
+            await addFile(file, manifest.files[i]);
+          }
+          manifest.totalSize = manifest.files.reduce(
+            (total, entry) => total + entry.size,
+            0
+          );
+          archive.append(JSON.stringify(manifest, null, 2), {
+            name: MANIFEST_ENTRY,
+          });
+          archive.finalize();
+        };
+        addFiles().catch(reject);
+      });
+    } catch (error) {
+      output.destroy();
+      await fs.rm(zipPath, { force: true });
+      throw new Error(`Backup failed, nothing was deleted: ${error.message}`);
+    }
+
+    console.log(
+      `   ✅ Backup ZIP created: ${this.formatBytes(
+        archive.pointer()
+      )} (${this.formatBytes(totalBytes)} archived) - ${path.basename(zipPath)}`
+    );
+  }
+
+  /**
+   * Reopen the new backup and check every file before anything is deleted
+   * Throws (so nothing is deleted) if the ZIP doesn't match the manifest.
+   */
+  async verifyBackupBeforeDelete() {
+    console.log("🔎 Verifying backup...");
+    let result;
+    try {
+      result = await verifyBackup(this.backupPath, {
+        expectedPaths: this.orphanedFiles.map((f) => toPosix(f.relativePath)),
+      });
+    } catch (error) {
+      result = { problems: [{ path: "", problem: error.message }] };
+    }
+
+    if (result.problems.length > 0) {
+      for (const { path: filePath, problem } of result.problems) {
+        console.log(`   ❌ ${filePath || "Backup"}: ${problem}`);
+        await this.logToCsv(
+          "BACKUP_VERIFY_FAILED",
+          filePath ? path.join(this.uploadsPath, filePath) : this.backupPath,
+          0,
+          "",
+          "",
+          "ERROR",
+          problem
+        );
+      }
+      throw new Error(
+        `Backup verification failed (${result.problems.length} problems) - nothing was deleted. Check ${this.backupPath}`
+      );
+    }
+
+    console.log(
+      `   ✅ Backup verified: ${result.checked} files match the manifest (size and SHA-256)`
+    );
+    await this.logToCsv(
+      "BACKUP_VERIFIED",
+      this.backupPath,
+      0,
+      "",
+      "",
+      "SUCCESS",
+      `${result.checked} files match the manifest`
+    );
+  }
+
+  /**
+   * Check an existing backup ZIP against its manifest (--verify-backup)
+   */
+  async verifyBackupFile(backupFileName) {
+    const backupPath = await this.resolveBackup(backupFileName);
+    console.log(`🔎 Verifying backup: ${backupPath}`);
+
+    const result = await verifyBackup(backupPath);
+    for (const { path: filePath, problem } of result.problems) {
+      console.log(`   ❌ ${filePath}: ${problem}`);
+      await this.logToCsv(
+        "BACKUP_VERIFY_FAILED",
+        path.join(this.uploadsPath, filePath),
+        0,
+        "",
+        "",
+        "ERROR",
+        problem
+      );
+    }
+
+    const summary = `${result.checked} of ${result.manifest.files.length} files checked, ${result.problems.length} problems`;
+    await this.logToCsv(
+      "BACKUP_VERIFY_COMPLETE",
+      backupPath,
+      0,
+      "",
+      "",
+      result.problems.length > 0 ? "ERROR" : "SUCCESS",
+      summary
+    );
+
+    if (result.unhashed > 0) {
+      console.log(
+        `   ⚠️  ${result.unhashed} files have no SHA-256 in the manifest (older backup) - only their size and readability were checked`
+      );
+    }
+    if (result.problems.length > 0) {
+      console.log(`\n❌ Backup is damaged: ${summary}`);
+      process.exitCode = 1;
+    } else {
+      console.log(`\n✅ Backup is intact: ${summary}`);
+    }
+  }
+
+  /**
+   * List backup ZIPs with what their manifests say (--list-backups)
+   */
+  async showBackups() {
+    let backups;
+    try {
+      backups = await this.listBackups();
+    } catch (error) {
+      console.log(`⚠️  Could not read backup directory: ${error.message}`);
+      backups = [];
+    }
+    const dirs = this.getBackupDirs().join(" and ");
+    if (backups.length === 0) {
+      console.log(`📦 No backups in ${dirs}`);
+      return;
+    }
+
+    console.log(`📦 ${backups.length} backups in ${dirs}:\n`);
+    let totalArchiveSize = 0;
+    for (const backup of backups) {
+      const info = await describeBackup(backup.path);
+      totalArchiveSize += info.archiveSize;
+
+      console.log(
+        `   ${info.name}${
+          backup.legacy ? " ⚠️  in public uploads (use --migrate-backups)" : ""
+        }`
+      );
+      if (info.error) {
+        console.log(`      ⚠️  Unreadable: ${info.error}`);
+        console.log(`      Archive: ${this.formatBytes(info.archiveSize)}`);
+        continue;
+      }
+      console.log(
+        `      Created: ${info.created} · ${
+          info.totalFiles
+        } files · ${this.formatBytes(
+          info.totalSize
+        )} original · ${this.formatBytes(info.archiveSize)} archive${
+          info.hasChecksums ? "" : " · no checksums"
+        }`
+      );
+      console.log(`      Months: ${this.formatMonths(info.months)}`);
+    }
+    console.log(
+      `\n   Total: ${this.formatBytes(totalArchiveSize)} in ${
+        backups.length
+      } archives`
+    );
+
+    await this.logToCsv(
+      "BACKUPS_LISTED",
+      this.backupDir,
+      totalArchiveSize,
+      "",
+      "",
+      "SUCCESS",
+      `${backups.length} backups`
+    );
+  }
+
+  /**
+   * Shorten long month lists to the first and last month
+   */
+  formatMonths(months) {
+    if (months.length === 0) return "-";
+    const dated = months.filter((month) => month !== "other");
+    if (dated.length <= 6) return months.join(", ");
+    return `${dated[0]} … ${dated[dated.length - 1]} (${dated.length} months${
+      dated.length < months.length ? ", other" : ""
+    })`;
+  }
+
+  /**
+   * List the files in a backup ZIP (--inspect-backup)
+   */
+  async inspectBackup(backupFileName) {
+    const backupPath = await this.resolveBackup(backupFileName);
+    const info = await describeBackup(backupPath).catch(() => {
+      throw new Error(`Backup ZIP file not found: ${backupPath}`);
+    });
+    if (info.error) {
+      throw new Error(`Could not read ${backupPath}: ${info.error}`);
+    }
+    const { entries, manifest } = await openBackup(backupPath);
+
+    console.log(`🔎 Backup: ${backupPath}`);
+    console.log(`   Created: ${info.created}`);
+    console.log(
+      `   Files: ${info.totalFiles} (${this.formatBytes(
+        info.totalSize
+      )} original, ${this.formatBytes(info.archiveSize)} archive)`
+    );
+    console.log(
+      `   Checksums: ${
+        info.hasChecksums
+          ? "SHA-256 for every file"
+          : "not recorded (older backup)"
+      }`
+    );
+    console.log(`   Months: ${info.months.join(", ") || "-"}`);
+
+    const byDirectory = new Map();
+    for (const file of manifest.files) {
+      const dir = path.posix.dirname(file.path);
+      if (!byDirectory.has(dir)) byDirectory.set(dir, []);
+      byDirectory.get(dir).push(file);
+    }
+    [...byDirectory.keys()].sort().forEach((dir) => {
+      console.log(`\n📁 ${dir === "." ? "./" : `${dir}/`}`);
+      byDirectory.get(dir).forEach((file) => {
+        const labels = [
+          file.category && file.category !== "orphan" ? file.category : null,
+          file.dbStatus || null,
+          entries.has(file.path) ? null : "missing from ZIP",
+        ].filter(Boolean);
+        console.log(
+          `   📄 ${path.posix.basename(file.path)} (${
+            file.dimensions
+          }) - ${this.formatBytes(file.size)}${
+            labels.length > 0 ? ` [${labels.join(", ")}]` : ""
+          }`
+        );
+      });
+    });
+
+    // Files in the ZIP the manifest doesn't know (a restore skips them)
+    const listed = new Set(manifest.files.map((file) => file.path));
+    const extra = [...entries.keys()].filter(
+      (name) => name !== MANIFEST_ENTRY && !listed.has(name)
+    );
+    if (extra.length > 0) {
+      console.log(`\n⚠️  ${extra.length} entries not in the manifest:`);
+      extra.forEach((name) => console.log(`   ❔ ${name}`));
+    }
+
+    await this.logToCsv(
+      "BACKUP_INSPECTED",
+      backupPath,
+      info.totalSize,
+      "",
+      "",
+      "SUCCESS",
+      `${info.totalFiles} files`
+    );
   }
 
   /**
-   * Delete orphaned files with backup
+   * Delete backups outside the retention (--prune-backups)
+   * With both limits, a backup goes once it is beyond the newest `keep` and
+   * older than maxAgeMs.
    */
-  async deleteWithBackup() {
-    if (this.orphanedFiles.length === 0) {
-      console.log("✅ No orphaned files to delete!");
+  async pruneBackups(keep, maxAgeMs) {
+    const backups = await this.listBackups();
+    const cutoff = maxAgeMs !== null ? Date.now() - maxAgeMs : null;
+    const rules = [
+      keep !== null ? `keep the newest ${keep}` : null,
+      cutoff !== null ? `older than ${this.olderThan}` : null,
+    ].filter(Boolean);
+
+    const expired = [];
+    for (const [index, backup] of backups.entries()) {
+      const info = await describeBackup(backup.path);
+      const beyondKeep = keep === null || index >= keep;
+      const tooOld = cutoff === null || Date.parse(info.created) < cutoff;
+      if (beyondKeep && tooOld) expired.push(info);
+    }
+
+    if (expired.length === 0) {
+      console.log(
+        `✅ No backups to prune (${backups.length} backups, ${rules.join(
+          ", "
+        )})`
+      );
       await this.logToCsv(
-        "DELETE_OPERATION",
-        "",
+        "PRUNE_BACKUPS_COMPLETE",
+        this.backupDir,
         0,
         "",
         "",
         "SUCCESS",
-        "No orphaned files to delete"
+        `Nothing to prune (${rules.join(", ")})`
       );
       return;
     }
 
-    this.displayResults(false);
-
-    console.log("\n📦 Creating backup before deletion...");
-    if (this.deleteBackups) {
-      console.log(
-        "🗑️  --delete flag detected: backup directory will be cleaned up"
-      );
-    } else {
-      console.log(
-        "💾 Backup preservation: backup directory will be kept (default)"
-      );
-    }
-    await this.createSimpleBackup();
-    await this.logToCsv(
-      "BACKUP_CREATED",
-      this.backupPath,
-      this.totalSize,
-      "",
-      "",
-      "SUCCESS",
-      `Backup created with ${this.orphanedFiles.length} files`
+    console.log(
+      `🧹 Pruning ${expired.length} of ${backups.length} backups (${rules.join(
+        ", "
+      )})...`
     );
-
-    console.log("🗑️  Deleting orphaned files...");
-    let deletedCount = 0;
+    let prunedCount = 0;
+    let prunedSize = 0;
     let failedCount = 0;
-
-    for (const file of this.orphanedFiles) {
+    for (const info of expired) {
       try {
-        await fs.unlink(file.path);
-        deletedCount++;
-        console.log(`   ✅ Deleted: ${file.relativePath}`);
+        await fs.unlink(info.path);
+        // Copies kept next to backups made before they were streamed
+        await fs.rm(info.path.replace(/\.zip$/, "-temp"), {
+          recursive: true,
+          force: true,
+        });
+        prunedCount++;
+        prunedSize += info.archiveSize;
+        console.log(
+          `   🗑️  Pruned: ${info.name} (${info.created}, ${this.formatBytes(
+            info.archiveSize
+          )})`
+        );
         await this.logToCsv(
-          "FILE_DELETED",
-          file.path,
-          file.size,
-          file.dimensions,
-          file.baseName,
+          "BACKUP_PRUNED",
+          info.path,
+          info.archiveSize,
+          "",
+          "",
           "SUCCESS",
-          ""
+          `Created ${info.created}${
+            info.totalFiles !== null ? `, ${info.totalFiles} files` : ""
+          }`
         );
       } catch (error) {
         failedCount++;
-        console.log(
-          `   ❌ Failed to delete: ${file.relativePath} - ${error.message}`
-        );
+        console.log(`   ❌ Failed to prune: ${info.name} - ${error.message}`);
         await this.logToCsv(
-          "FILE_DELETE_FAILED",
-          file.path,
-          file.size,
-          file.dimensions,
-          file.baseName,
+          "BACKUP_PRUNE_FAILED",
+          info.path,
+          info.archiveSize,
+          "",
+          "",
           "ERROR",
           error.message
         );
       }
     }
 
-    // Log summary
     await this.logToCsv(
-      "DELETE_SUMMARY",
-      "",
-      this.totalSize,
+      "PRUNE_BACKUPS_COMPLETE",
+      this.backupDir,
+      prunedSize,
       "",
       "",
       "SUCCESS",
-      `${deletedCount} deleted, ${failedCount} failed`
+      `${prunedCount} pruned, ${failedCount} failed (${rules.join(", ")})`
     );
-
-    console.log("\n" + "=".repeat(60));
-    console.log("✅ CLEANUP COMPLETE!");
-    console.log("=".repeat(60));
-    console.log(`📊 Results:`);
-    console.log(`   Files deleted: ${deletedCount}`);
-    console.log(`   Failed deletions: ${failedCount}`);
-    console.log(`   Space freed: ${this.formatBytes(this.totalSize)}`);
-    console.log(`\n💾 Backup created: ${this.backupPath}`);
-    if (!this.deleteBackups) {
-      const tempDir = this.backupPath.replace(".zip", "-temp");
-      console.log(`💾 Backup directory preserved: ${tempDir}`);
-    }
-    console.log(`📝 Log saved: ${this.logPath}`);
     console.log(
-      `\n🔄 To restore files manually, extract: ${path.basename(
-        this.backupPath
-      )}`
+      `\n✅ Prune complete! ${prunedCount} backups (${this.formatBytes(
+        prunedSize
+      )}) deleted, ${backups.length - prunedCount} kept.`
     );
-
-    // Add convenient restore command
-    const backupFileName = path.basename(this.backupPath);
-    console.log(`\n📋 To restore using this script, copy and paste:`);
-    console.log(`   node app.js --restore ${backupFileName}`);
-    console.log(`   node app.js --restore ${backupFileName} --delete`);
-    console.log(`   (Use --delete to cleanup ZIP file after restore)`);
   }
 
   /**
-   * Create backup zip file
+   * Find the latest backup ZIP file
    */
-  async createSimpleBackup() {
-    const timestamp = new Date()
-      .toISOString()
-      .replace(/[:.]/g, "-")
-      .slice(0, 19);
-    const tempDir = path.join(
-      UPLOADS_PATH,
-      `${BACKUP_PREFIX}-${timestamp}-temp`
-    );
-    const zipPath = path.join(
-      UPLOADS_PATH,
-      `${BACKUP_PREFIX}-${timestamp}.zip`
-    );
-    this.backupPath = zipPath;
-
-    // Create temporary directory
-    await fs.mkdir(tempDir, { recursive: true });
+  async findLatestBackup() {
+    try {
+      const backupZips = await this.listBackups();
 
-    // Create manifest
-    const manifest = {
-      created: new Date().toISOString(),
-      totalFiles: this.orphanedFiles.length,
-      totalSize: this.totalSize,
-      files: this.orphanedFiles.map((f) => ({
-        path: f.relativePath,
-        size: f.size,
-        baseName: f.baseName,
-        dimensions: f.dimensions,
-      })),
-    };
+      if (backupZips.length === 0) {
+        return null;
+      }
 
-    await fs.writeFile(
-      path.join(tempDir, "manifest.json"),
-      JSON.stringify(manifest, null, 2)
-    );
+      return backupZips[0].path; // Return the most recent ZIP file
+    } catch (error) {
+      console.warn(`⚠️  Could not read backup directory: ${error.message}`);
+      return null;
+    }
+  }
 
-    // Copy files maintaining directory structure
-    for (const file of this.orphanedFiles) {
-      const targetPath = path.join(tempDir, file.relativePath);
-      const targetDir = path.dirname(targetPath);
+  /**
+   * Directories backups are looked for in: the backup directory, then the
+   * uploads directory where older versions wrote them
+   */
+  getBackupDirs() {
+    return [...new Set([this.backupDir, this.legacyBackupDir])];
+  }
 
-      await fs.mkdir(targetDir, { recursive: true });
-      await fs.copyFile(file.path, targetPath);
+  /**
+   * List backup ZIP files in all backup directories, most recent first
+   * Returns [{ name, path, legacy }] - legacy = still in the uploads directory
+   */
+  async listBackups() {
+    const backups = [];
+    for (const dir of this.getBackupDirs()) {
+      let backupFiles;
+      try {
+        backupFiles = await fs.readdir(dir);
+      } catch (error) {
+        if (error.code === "ENOENT") continue;
+        throw error;
+      }
+      backupFiles
+        .filter(
+          (file) => file.startsWith(this.backupPrefix) && file.endsWith(".zip")
+        )
+        .forEach((name) =>
+          backups.push({
+            name,
+            path: path.join(dir, name),
+            legacy: dir !== this.backupDir,
+          })
+        );
     }
+    // A numbered backup (-1, -2, ...) is newer than the first one of its second
+    const sortKey = (backup) => backup.name.replace(/\.zip$/, "");
+    return backups.sort((a, b) => sortKey(b).localeCompare(sortKey(a)));
+  }
 
-    // Create ZIP file
-    const archiver = require("archiver");
-    const output = fsSync.createWriteStream(zipPath);
-    const archive = archiver("zip", { zlib: { level: 9 } });
-
-    return new Promise((resolve, reject) => {
-      output.on("close", async () => {
-        const zipSize = archive.pointer();
-        // Keep temporary directory by default (delete only with --delete flag)
-        if (!this.deleteBackups) {
-          console.log(
-            `   ✅ Backup ZIP created: ${this.formatBytes(
-              zipSize
-            )} - ${path.basename(zipPath)}`
-          );
-          console.log(`   💾 Backup directory preserved: ${tempDir}`);
-          resolve();
-        } else {
-          try {
-            await fs.rm(tempDir, { recursive: true });
-            console.log(
-              `   ✅ Backup ZIP created: ${this.formatBytes(
-                zipSize
-              )} - ${path.basename(zipPath)}`
-            );
-            resolve();
-          } catch (error) {
-            console.warn(
-              `⚠️  Could not delete temporary directory: ${error.message}`
-            );
-            resolve(); // Still resolve since ZIP was created successfully
-          }
-        }
-      });
+  /**
+   * Find a backup ZIP given by name in the backup directories
+   * Anything that isn't found resolves against the backup directory.
+   */
+  async resolveBackup(backupFileName) {
+    for (const dir of this.getBackupDirs()) {
+      const candidate = path.resolve(dir, backupFileName);
+      try {
+        await fs.access(candidate);
+        return candidate;
+      } catch (error) {
+        // Try the next directory
+      }
+    }
+    return path.resolve(this.backupDir, backupFileName);
+  }
 
-      archive.on("error", reject);
-      output.on("error", reject);
+  /**
+   * Manifest entry filter from --only, --month, --base-name and --from-csv
+   * Returns { filter, backup } - backup is the ZIP the --from-csv log was
+   * backed up to (null without --from-csv)
+   */
+  async getRestoreSelection() {
+    let paths = null;
+    let backup = null;
+    if (this.restoreFromCsv) {
+      const csvPath = path.resolve(this.restoreFromCsv);
+      const log = await readDeleteLog(csvPath, this.uploadsPath);
+      console.log(
+        `📋 ${log.paths.size} deleted files listed in ${path.basename(csvPath)}`
+      );
+      if (log.outside > 0) {
+        console.log(
+          `⚠️  ${log.outside} deleted files in the log are outside ${this.uploadsPath} and are ignored`
+        );
+      }
+      paths = log.paths;
+      backup = await this.findLogBackup(csvPath, log.backup);
+    }
 
-      archive.pipe(output);
-      archive.directory(tempDir, false);
-      archive.finalize();
+    const filter = createRestoreFilter({
+      only: this.restoreOnly,
+      month: this.restoreMonth,
+      baseName: this.restoreBaseName,
+      paths,
     });
+    return { filter, backup };
   }
 
   /**
-   * Find the latest backup ZIP file
+   * Find the backup ZIP a delete log recorded (BACKUP_CREATED)
+   * It is looked for where it was written, then by name in the backup
+   * directories (--migrate-backups may have moved it).
    */
-  async findLatestBackup() {
-    try {
-      const uploadsFiles = await fs.readdir(UPLOADS_PATH);
-      const backupZips = uploadsFiles
-        .filter(
-          (file) => file.startsWith(BACKUP_PREFIX) && file.endsWith(".zip")
-        )
-        .sort()
-        .reverse(); // Most recent first
+  async findLogBackup(csvPath, recordedPath) {
+    if (!recordedPath) {
+      throw new Error(
+        `${csvPath} records no backup - it is not the log of a --clean run`
+      );
+    }
 
-      if (backupZips.length === 0) {
-        return null;
-      }
+    let backupPath = path.resolve(recordedPath);
+    if (!fsSync.existsSync(backupPath)) {
+      backupPath = await this.resolveBackup(path.basename(recordedPath));
+    }
+    if (!fsSync.existsSync(backupPath)) {
+      throw new Error(
+        `Backup ${recordedPath} recorded in ${csvPath} not found - the deleted files can't be restored from another backup`
+      );
+    }
 
-      return backupZips[0]; // Return the most recent ZIP file
-    } catch (error) {
-      console.warn(`⚠️  Could not read uploads directory: ${error.message}`);
-      return null;
+    if (
+      this.restoreFile &&
+      (await this.resolveBackup(this.restoreFile)) !== backupPath
+    ) {
+      throw new Error(
+        `${csvPath} was backed up to ${backupPath}, not ${this.restoreFile} - leave out the ZIP name to use it`
+      );
     }
+    return backupPath;
   }
 
   /**
    * Restore files from backup ZIP
+   * filter (optional) picks the manifest entries to restore; with dryRun
+   * they are only listed.
    */
-  async restoreFromBackup(backupFileName) {
+  async restoreFromBackup(
+    backupFileName,
+    { filter = null, dryRun = false } = {}
+  ) {
     if (!backupFileName) {
       throw new Error("Please specify a backup ZIP file name");
     }
 
-    const backupPath = path.resolve(UPLOADS_PATH, backupFileName);
+    const backupPath = await this.resolveBackup(backupFileName);
+    backupFileName = path.basename(backupPath);
 
     try {
       await fs.access(backupPath);
@@ -832,13 +4181,38 @@ NOTES:
       throw new Error(`Backup ZIP file not found: ${backupPath}`);
     }
 
-    console.log(`🔄 Restoring from backup ZIP: ${backupFileName}`);
-    if (this.deleteBackups) {
-      console.log(
-        "🗑️  --delete flag detected: backup ZIP will be deleted after restore"
+    const { entries, manifest } = await openBackup(backupPath);
+
+    // A damaged or crafted manifest must not write outside uploads
+    const unsafeFiles = manifest.files.filter((fileInfo) => {
+      if (typeof fileInfo.path !== "string") return true;
+      const targetPath = path.join(this.uploadsPath, fileInfo.path);
+      return (
+        !isInside(targetPath, this.uploadsPath) ||
+        targetPath === this.uploadsPath
       );
+    });
+    const safeFiles = manifest.files.filter(
+      (fileInfo) => !unsafeFiles.includes(fileInfo)
+    );
+    const files = filter ? safeFiles.filter(filter) : safeFiles;
+
+    if (dryRun) {
+      console.log(`👁️  Restore preview for backup ZIP: ${backupPath}`);
     } else {
-      console.log("💾 Backup ZIP will be preserved after restore (default)");
+      console.log(`🔄 Restoring from backup ZIP: ${backupPath}`);
+      if (this.deleteBackups) {
+        console.log(
+          "🗑️  --delete flag detected: backup ZIP will be deleted after restore"
+        );
+      } else {
+        console.log("💾 Backup ZIP will be preserved after restore (default)");
+      }
+    }
+    if (filter) {
+      console.log(
+        `🔍 ${files.length} of ${manifest.files.length} files match the filters`
+      );
     }
     await this.logToCsv(
       "RESTORE_START",
@@ -847,62 +4221,49 @@ NOTES:
       "",
       "",
       "SUCCESS",
-      `Restoring from: ${backupFileName}`
+      `${dryRun ? "Previewing" : "Restoring"} ${files.length} of ${
+        manifest.files.length
+      } files from: ${backupFileName}`
     );
+    for (const fileInfo of unsafeFiles) {
+      console.log(
+        `   ⛔ Skipped: ${fileInfo.path} - outside the uploads directory`
+      );
+      await this.logToCsv(
+        "FILE_RESTORE_FAILED",
+        String(fileInfo.path),
+        fileInfo.size,
+        fileInfo.dimensions,
+        fileInfo.baseName,
+        "ERROR",
+        "Path outside the uploads directory - skipped",
+        fileInfo.blogId
+      );
+    }
 
-    // Extract ZIP to temporary directory
-    const extractPath = path.join(UPLOADS_PATH, `restore-temp-${Date.now()}`);
-    await fs.mkdir(extractPath, { recursive: true });
-
-    try {
-      // Extract ZIP file
-      const unzipper = require("unzipper");
-      await new Promise((resolve, reject) => {
-        fsSync
-          .createReadStream(backupPath)
-          .pipe(unzipper.Extract({ path: extractPath }))
-          .on("close", resolve)
-          .on("error", reject);
-      });
-
-      const manifestPath = path.join(extractPath, "manifest.json");
-      const manifest = JSON.parse(await fs.readFile(manifestPath, "utf8"));
-
-      let restoredCount = 0;
-
-      for (const fileInfo of manifest.files) {
-        const sourcePath = path.join(extractPath, fileInfo.path);
-        const targetPath = path.join(UPLOADS_PATH, fileInfo.path);
-        const targetDir = path.dirname(targetPath);
-
-        try {
-          await fs.mkdir(targetDir, { recursive: true });
-          await fs.copyFile(sourcePath, targetPath);
-          restoredCount++;
-          console.log(`   ✅ Restored: ${fileInfo.path}`);
-          await this.logToCsv(
-            "FILE_RESTORED",
-            targetPath,
-            fileInfo.size,
-            fileInfo.dimensions,
-            fileInfo.baseName,
-            "SUCCESS",
-            ""
-          );
-        } catch (error) {
-          console.log(
-            `   ❌ Failed to restore: ${fileInfo.path} - ${error.message}`
-          );
-          await this.logToCsv(
-            "FILE_RESTORE_FAILED",
-            targetPath,
-            fileInfo.size,
-            fileInfo.dimensions,
-            fileInfo.baseName,
-            "ERROR",
-            error.message
-          );
-        }
+    if (dryRun) {
+      let previewSize = 0;
+      let overwriteCount = 0;
+      for (const fileInfo of files) {
+        const targetPath = path.join(this.uploadsPath, fileInfo.path);
+        const exists = fsSync.existsSync(targetPath);
+        if (exists) overwriteCount++;
+        previewSize += fileInfo.size || 0;
+        console.log(
+          `   📄 ${fileInfo.path} (${this.formatBytes(fileInfo.size || 0)})${
+            exists ? " ⚠️  overwrites the existing file" : ""
+          }`
+        );
+        await this.logToCsv(
+          "FILE_RESTORE_PREVIEW",
+          targetPath,
+          fileInfo.size,
+          fileInfo.dimensions,
+          fileInfo.baseName,
+          "PREVIEW",
+          exists ? "Overwrites the existing file" : "",
+          fileInfo.blogId
+        );
       }
 
       await this.logToCsv(
@@ -912,20 +4273,76 @@ NOTES:
         "",
         "",
         "SUCCESS",
-        `${restoredCount} files restored from ${backupFileName}`
+        `Preview: ${files.length} files from ${backupFileName} would be restored`
       );
-      console.log(`\n✅ Restore complete! ${restoredCount} files restored.`);
-    } finally {
-      // Clean up temporary extraction directory
+      console.log(`\n📊 RESTORE PREVIEW:`);
+      console.log(`   Files to restore: ${files.length}`);
+      console.log(`   Size to write: ${this.formatBytes(previewSize)}`);
+      console.log(`   Existing files overwritten: ${overwriteCount}`);
+      if (unsafeFiles.length > 0) {
+        console.log(
+          `   Skipped (outside the uploads directory): ${unsafeFiles.length}`
+        );
+      }
+      console.log(`\n💡 Run without --dry-run to restore these files`);
+      return { restored: 0, failed: unsafeFiles.length };
+    }
+
+    // Only the selected entries are read from the ZIP
+    let restoredCount = 0;
+    let failedCount = unsafeFiles.length;
+    for (const fileInfo of files) {
+      const targetPath = path.join(this.uploadsPath, fileInfo.path);
+      const targetDir = path.dirname(targetPath);
+
       try {
-        await fs.rm(extractPath, { recursive: true });
+        const entry = entries.get(fileInfo.path);
+        if (!entry) {
+          throw new Error("missing from the ZIP");
+        }
+        await fs.mkdir(targetDir, { recursive: true });
+        await pipeline(entry.stream(), fsSync.createWriteStream(targetPath));
+        restoredCount++;
+        console.log(`   ✅ Restored: ${fileInfo.path}`);
+        await this.logToCsv(
+          "FILE_RESTORED",
+          targetPath,
+          fileInfo.size,
+          fileInfo.dimensions,
+          fileInfo.baseName,
+          "SUCCESS",
+          "",
+          fileInfo.blogId
+        );
       } catch (error) {
-        console.warn(
-          `⚠️  Could not delete temporary extraction directory: ${error.message}`
+        failedCount++;
+        console.log(
+          `   ❌ Failed to restore: ${fileInfo.path} - ${error.message}`
+        );
+        await this.logToCsv(
+          "FILE_RESTORE_FAILED",
+          targetPath,
+          fileInfo.size,
+          fileInfo.dimensions,
+          fileInfo.baseName,
+          "ERROR",
+          error.message,
+          fileInfo.blogId
         );
       }
     }
 
+    await this.logToCsv(
+      "RESTORE_COMPLETE",
+      "",
+      0,
+      "",
+      "",
+      "SUCCESS",
+      `${restoredCount} files restored from ${backupFileName}`
+    );
+    console.log(`\n✅ Restore complete! ${restoredCount} files restored.`);
+
     // Conditionally delete backup ZIP file based on --delete flag
     if (!this.deleteBackups) {
       console.log(`💾 Backup ZIP preserved: ${backupFileName}`);
@@ -964,6 +4381,8 @@ NOTES:
         );
       }
     }
+
+    return { restored: restoredCount, failed: failedCount };
   }
 
   /**
@@ -980,8 +4399,13 @@ NOTES:
 
 // Run the cleaner
 async function main() {
-  const cleaner = new OrphanedImageCleaner();
+  const config = loadConfig(process.argv.slice(2));
+  const cleaner = new OrphanedImageCleaner(config);
   await cleaner.run();
 }
 
-main().catch(console.error);
+if (require.main === module) {
+  main().catch(console.error);
+}
+
+module.exports = { OrphanedImageCleaner };
@@ -0,0 +1,171 @@
+/**
+ * WordPress attachment data from a SQL dump
+ *
+ * Builds the set of upload files WordPress knows about from
+ * _wp_attached_file, _wp_attachment_metadata and _wp_attachment_backup_sizes.
+ */
+
+const path = require("path");
+const { readDumpRows } = require("./sql-dump");
+const { unserialize, isSerialized } = require("./php-unserialize");
+
+const ATTACHMENT_META_KEYS = [
+  "_wp_attached_file",
+  "_wp_attachment_metadata",
+  "_wp_attachment_backup_sizes",
+];
+
+/**
+ * Get the uploads-relative directory of a blog's files
+ * Blog 1 uses uploads/ itself, other blogs uploads/sites/<blog_id>/
+ */
+function getBlogUploadsPrefix(blogId) {
+  return blogId === 1 ? "" : `sites/${blogId}/`;
+}
+
+/**
+ * Get the files an attachment's metadata says should exist, with their role
+ * ("main", "original_image" or the size name)
+ */
+function getMetadataFiles(attachment) {
+  if (!attachment.file) return [];
+
+  const prefix = getBlogUploadsPrefix(attachment.blogId);
+  const mainFile = attachment.file.replace(/^\/+/, "");
+  const dir = path.posix.dirname(mainFile);
+  const inDir = (name) =>
+    prefix + (dir === "." ? name : path.posix.join(dir, name));
+
+  const files = [{ role: "main", file: prefix + mainFile }];
+  const metadata = attachment.metadata || {};
+
+  if (typeof metadata.original_image === "string") {
+    files.push({
+      role: "original_image",
+      file: inDir(metadata.original_image),
+    });
+  }
+  Object.entries(metadata.sizes || {}).forEach(([name, size]) => {
+    if (size && typeof size.file === "string") {
+      files.push({ role: name, file: inDir(size.file) });
+    }
+  });
+
+  return files;
+}
+
+/**
+ * Get every uploads-relative file an attachment references
+ * (main file, original_image, sizes and edit backups)
+ */
+function getAttachmentFiles(attachment) {
+  if (!attachment.file) return [];
+
+  const files = getMetadataFiles(attachment).map((entry) => entry.file);
+  const mainFile = files[0];
+  const dir = path.posix.dirname(mainFile);
+
+  Object.values(attachment.backupSizes || {}).forEach((size) => {
+    if (size && typeof size.file === "string") {
+      files.push(dir === "." ? size.file : path.posix.join(dir, size.file));
+    }
+  });
+
+  return [...new Set(files)];
+}
+
+/**
+ * Parse a serialized meta value, returning null if it cannot be read
+ */
+function parseMetaValue(value, onError) {
+  if (!isSerialized(value)) return null;
+  try {
+    return unserialize(value);
+  } catch (error) {
+    onError(error);
+    return null;
+  }
+}
+
+/**
+ * Load attachments from a SQL dump
+ * Returns { attachments: Map("blogId:id" → attachment), knownFiles: Map(relativePath → attachment), stats }
+ */
+async function loadAttachmentDatabase(dumpPath, options = {}) {
+  const attachments = new Map();
+  const attachmentPosts = new Set();
+  const stats = { posts: 0, metaRows: 0, unreadableMetadata: 0 };
+  let sawPosts = false;
+
+  const getAttachment = (blogId, id) => {
+    const key = `${blogId}:${id}`;
+    if (!attachments.has(key)) {
+      attachments.set(key, {
+        id: Number(id),
+        blogId,
+        file: null,
+        metadata: null,
+        backupSizes: null,
+        mimeType: null,
+        title: null,
+      });
+    }
+    return attachments.get(key);
+  };
+
+  await readDumpRows(
+    dumpPath,
+    ["posts", "postmeta"],
+    (target, row) => {
+      if (target.table === "posts") {
+        sawPosts = true;
+        if (row.post_type !== "attachment") return;
+        stats.posts++;
+        attachmentPosts.add(`${target.blogId}:${row.ID}`);
+        const attachment = getAttachment(target.blogId, row.ID);
+        attachment.mimeType = row.post_mime_type;
+        attachment.title = row.post_title;
+        return;
+      }
+
+      if (!ATTACHMENT_META_KEYS.includes(row.meta_key)) return;
+      stats.metaRows++;
+      const attachment = getAttachment(target.blogId, row.post_id);
+      const onError = () => stats.unreadableMetadata++;
+
+      if (row.meta_key === "_wp_attached_file") {
+        attachment.file = row.meta_value;
+      } else if (row.meta_key === "_wp_attachment_metadata") {
+        attachment.metadata = parseMetaValue(row.meta_value, onError);
+      } else {
+        attachment.backupSizes = parseMetaValue(row.meta_value, onError);
+      }
+    },
+    options.tablePrefix
+  );
+
+  // Meta rows of deleted posts do not make a file known
+  if (sawPosts) {
+    for (const key of attachments.keys()) {
+      if (!attachmentPosts.has(key)) attachments.delete(key);
+    }
+  }
+
+  const knownFiles = new Map();
+  for (const attachment of attachments.values()) {
+    getAttachmentFiles(attachment).forEach((file) => {
+      knownFiles.set(file, attachment);
+    });
+  }
+
+  stats.attachments = attachments.size;
+  stats.knownFiles = knownFiles.size;
+  return { attachments, knownFiles, stats };
+}
+
+module.exports = {
+  getBlogUploadsPrefix,
+  getMetadataFiles,
+  getAttachmentFiles,
+  loadAttachmentDatabase,
+};
@@ -0,0 +1,184 @@
+/**
+ * Backup ZIP checks
+ *
+ * A backup holds the deleted files under their uploads-relative paths and a
+ * manifest.json entry listing each file with its size and SHA-256 (backups
+ * made before checksums were recorded only have sizes).
+ */
+
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const path = require("path");
+
+const MANIFEST_ENTRY = "manifest.json";
+
+/**
+ * Open a backup ZIP and read its manifest
+ * Returns { directory, entries (Map path → zip entry), manifest }
+ */
+async function openBackup(zipPath) {
+  const unzipper = require("unzipper");
+
+  let directory;
+  try {
+    directory = await unzipper.Open.file(zipPath);
+  } catch (error) {
+    throw new Error(`Could not open ${zipPath} as a ZIP: ${error.message}`);
+  }
+
+  const entries = new Map(
+    directory.files
+      .filter((entry) => entry.type === "File")
+      .map((entry) => [entry.path, entry])
+  );
+  const manifestEntry = entries.get(MANIFEST_ENTRY);
+  if (!manifestEntry) {
+    throw new Error(`${zipPath} has no ${MANIFEST_ENTRY}`);
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse((await manifestEntry.buffer()).toString("utf8"));
+  } catch (error) {
+    throw new Error(`Could not read ${MANIFEST_ENTRY}: ${error.message}`);
+  }
+  if (!Array.isArray(manifest.files)) {
+    throw new Error(`${MANIFEST_ENTRY} has no file list`);
+  }
+
+  return { directory, entries, manifest };
+}
+
+/**
+ * SHA-256 and length of a ZIP entry's contents (reads and inflates it)
+ */
+function hashEntry(entry) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    let size = 0;
+    entry
+      .stream()
+      .on("data", (chunk) => {
+        size += chunk.length;
+        hash.update(chunk);
+      })
+      .on("end", () => resolve({ sha256: hash.digest("hex"), size }))
+      .on("error", reject);
+  });
+}
+
+/**
+ * Check that every file in the manifest is in the ZIP with the recorded
+ * size and SHA-256. expectedPaths (optional) must all be in the manifest.
+ * Returns { manifest, checked, unhashed, problems: [{ path, problem }] }
+ */
+async function verifyBackup(zipPath, { expectedPaths = null } = {}) {
+  const { entries, manifest } = await openBackup(zipPath);
+  const problems = [];
+  let checked = 0;
+  let unhashed = 0;
+
+  if (expectedPaths) {
+    const listed = new Set(manifest.files.map((file) => file.path));
+    expectedPaths
+      .filter((expected) => !listed.has(expected))
+      .forEach((expected) =>
+        problems.push({ path: expected, problem: "not in the manifest" })
+      );
+  }
+
+  for (const file of manifest.files) {
+    const entry = entries.get(file.path);
+    if (!entry) {
+      problems.push({ path: file.path, problem: "missing from the ZIP" });
+      continue;
+    }
+
+    let contents;
+    try {
+      contents = await hashEntry(entry);
+    } catch (error) {
+      problems.push({
+        path: file.path,
+        problem: `unreadable (${error.message})`,
+      });
+      continue;
+    }
+
+    if (contents.size !== file.size) {
+      problems.push({
+        path: file.path,
+        problem: `size ${contents.size} bytes, manifest says ${file.size}`,
+      });
+    } else if (!file.sha256) {
+      unhashed++;
+    } else if (contents.sha256 !== file.sha256) {
+      problems.push({ path: file.path, problem: "SHA-256 mismatch" });
+    }
+    checked++;
+  }
+
+  return { manifest, checked, unhashed, problems };
+}
+
+/**
+ * Months (YYYY/MM, prefixed with sites/<id>/ for subsites) a manifest covers
+ * Files outside year/month folders are listed as "other".
+ */
+function getManifestMonths(manifest) {
+  const months = new Set(
+    manifest.files.map((file) => {
+      const match = file.path.match(/^((?:sites\/\d+\/)?\d{4}\/\d{2})\//);
+      return match ? match[1] : "other";
+    })
+  );
+  return [...months].sort();
+}
+
+/**
+ * Summary of a backup ZIP for listings
+ * Unreadable archives are still listed, with the reason in error.
+ */
+async function describeBackup(zipPath) {
+  const stat = await fs.stat(zipPath);
+  const info = {
+    name: path.basename(zipPath),
+    path: zipPath,
+    archiveSize: stat.size,
+    created: stat.mtime.toISOString(),
+    totalFiles: null,
+    totalSize: null,
+    months: [],
+    hasChecksums: false,
+    error: null,
+  };
+
+  try {
+    const { manifest } = await openBackup(zipPath);
+    info.created = manifest.created || info.created;
+    info.totalFiles = manifest.files.length;
+    info.totalSize =
+      manifest.totalSize ??
+      manifest.files.reduce((total, file) => total + (file.size || 0), 0);
+    info.months = getManifestMonths(manifest);
+    info.hasChecksums = manifest.files.every((file) => file.sha256);
+  } catch (error) {
+    info.error = error.message;
+    // Without a manifest, the time in the name beats the file's mtime
+    const match = info.name.match(
+      /(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})(?:-\d+)?\.zip$/
+    );
+    if (match) {
+      info.created = `${match[1]}T${match[2]}:${match[3]}:${match[4]}.000Z`;
+    }
+  }
+  return info;
+}
+
+module.exports = {
+  MANIFEST_ENTRY,
+  openBackup,
+  verifyBackup,
+  getManifestMonths,
+  describeBackup,
+};
@@ -0,0 +1,271 @@
+/**
+ * Configuration loading for wp-orphan-image-cleaner
+ *
+ * Settings are resolved in this order (later wins):
+ *   1. Built-in defaults
+ *   2. Project config file (.wp-oicrc.json or wp-oic.config.js), searched upward
+ *   3. Command line flags
+ */
+
+const fsSync = require("fs");
+const path = require("path");
+
+// Config file names, checked in order in each directory while walking upward
+const CONFIG_FILES = [".wp-oicrc.json", "wp-oic.config.js"];
+
+const DEFAULT_CONFIG = {
+  uploads: "../wp-content/uploads",
+  logs: "./logs",
+  backupDir: "./backups", // next to the tool, outside the public uploads directory
+  backupPrefix: "wp-oic",
+  quarantineDir: null, // null = wp-oic-quarantine next to the WordPress directory
+  multisite: false, // also scan uploads/sites/<blog_id>/YYYY/MM
+  site: null, // limit a multisite run to one blog id
+  layout: "auto", // yearmonth, flat, auto or a list of directory globs
+  exclude: [], // extra directory globs to skip (added to the built-in list)
+  concurrency: 4, // directories scanned in parallel
+  aggressiveParents: false, // allow deleting -scaled/edited main files
+  dbDump: null, // SQL dump to cross-check candidates against
+  tablePrefix: null, // null = detect (wp_, wp_2_, ...)
+  references: null, // SQL dump or content export to find referenced files in
+  staleSizes: false, // flag sizes no registered image size produces
+  sizes: null, // registered sizes: JSON file or site URL
+  orphanedOriginals: false, // flag uploads without an attachment (needs dbDump)
+  regenerateScript: null, // --missing: write wp media regenerate commands here
+  rules: null, // custom variant rules: a list, or a JSON file / JS plugin module
+  planOut: null, // --dry-run: write the candidates to this plan file
+  plan: null, // --clean: only delete the files of this plan
+  host: "127.0.0.1", // --serve: address the dashboard listens on
+  port: 8080, // --serve: dashboard port
+};
+
+// Named upload layouts (anything else is treated as a list of directory globs)
+const LAYOUTS = ["yearmonth", "flat", "auto"];
+
+// Config keys holding paths (resolved relative to where they were defined)
+const PATH_KEYS = [
+  "uploads",
+  "logs",
+  "backupDir",
+  "quarantineDir",
+  "dbDump",
+  "references",
+  "sizes",
+  "regenerateScript",
+  "rules",
+  "planOut",
+  "plan",
+];
+
+// Command line flags that override config keys
+const CLI_OPTIONS = {
+  "--uploads": "uploads",
+  "--logs": "logs",
+  "--backup-dir": "backupDir",
+  "--quarantine-dir": "quarantineDir",
+  "--site": "site",
+  "--layout": "layout",
+  "--exclude": "exclude",
+  "--concurrency": "concurrency",
+  "--db-dump": "dbDump",
+  "--table-prefix": "tablePrefix",
+  "--references": "references",
+  "--sizes": "sizes",
+  "--regenerate-script": "regenerateScript",
+  "--rules": "rules",
+  "--plan-out": "planOut",
+  "--plan": "plan",
+  "--host": "host",
+  "--port": "port",
+};
+
+// Command line switches that set a config key to true
+const CLI_SWITCHES = {
+  "--multisite": "multisite",
+  "--aggressive-parents": "aggressiveParents",
+  "--stale-sizes": "staleSizes",
+  "--orphaned-originals": "orphanedOriginals",
+};
+
+/**
+ * Get the value following a flag (null if missing or another flag follows)
+ */
+function getArgValue(args, flag) {
+  const index = args.indexOf(flag);
+  if (index === -1) return null;
+  const value = args[index + 1];
+  if (!value || value.startsWith("--")) return null;
+  return value;
+}
+
+/**
+ * Parse an age such as 30d, 12h or 2w into milliseconds (null = invalid)
+ */
+function parseAge(text) {
+  const match = String(text).match(/^(\d+)\s*(h|d|w)$/i);
+  if (!match) return null;
+  const units = { h: 3600000, d: 86400000, w: 604800000 };
+  return Number(match[1]) * units[match[2].toLowerCase()];
+}
+
+/**
+ * Walk upward from startDir and return the first config file found
+ */
+function findConfigFile(startDir) {
+  let dir = path.resolve(startDir);
+
+  while (true) {
+    for (const name of CONFIG_FILES) {
+      const candidate = path.join(dir, name);
+      if (fsSync.existsSync(candidate)) return candidate;
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Read a JSON or JS config file
+ */
+function readConfigFile(filePath) {
+  try {
+    if (filePath.endsWith(".js")) {
+      return require(filePath);
+    }
+    return JSON.parse(fsSync.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not load config file ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Resolve path values in a config layer against a base directory
+ */
+function resolvePaths(layer, baseDir) {
+  const resolved = { ...layer };
+  for (const key of PATH_KEYS) {
+    if (
+      typeof resolved[key] === "string" &&
+      !/^https?:\/\//i.test(resolved[key])
+    ) {
+      resolved[key] = path.resolve(baseDir, resolved[key]);
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Build the effective configuration from defaults, config file and CLI flags
+ */
+function loadConfig(args, cwd = process.cwd()) {
+  const configFile = findConfigFile(cwd);
+  const fileConfig = configFile
+    ? resolvePaths(readConfigFile(configFile), path.dirname(configFile))
+    : {};
+
+  const cliConfig = {};
+  for (const [flag, key] of Object.entries(CLI_OPTIONS)) {
+    const value = getArgValue(args, flag);
+    if (value !== null) cliConfig[key] = value;
+  }
+  for (const [flag, key] of Object.entries(CLI_SWITCHES)) {
+    if (args.includes(flag)) cliConfig[key] = true;
+  }
+
+  const config = {
+    ...resolvePaths(DEFAULT_CONFIG, cwd),
+    ...fileConfig,
+    ...resolvePaths(cliConfig, cwd),
+    configFile,
+  };
+
+  // A config file written for older versions may still say null
+  if (!config.backupDir) {
+    config.backupDir = path.resolve(cwd, DEFAULT_CONFIG.backupDir);
+  }
+
+  // Quarantine defaults to outside the WordPress directory (uploads/../..),
+  // which is usually outside the web root as well
+  if (!config.quarantineDir) {
+    config.quarantineDir = path.resolve(
+      config.uploads,
+      "../../..",
+      "wp-oic-quarantine"
+    );
+  }
+
+  // Selecting a subsite implies multisite mode
+  if (config.site !== null && config.site !== undefined) {
+    if (!/^\d+$/.test(String(config.site))) {
+      throw new Error(
+        `Invalid site id: ${config.site} (expected a numeric blog id)`
+      );
+    }
+    config.site = Number(config.site);
+    config.multisite = true;
+  }
+
+  config.layout = normalizeLayout(config.layout);
+  config.exclude = toList(config.exclude);
+
+  config.concurrency = Number(config.concurrency);
+  if (!Number.isInteger(config.concurrency) || config.concurrency < 1) {
+    throw new Error(
+      `Invalid concurrency: ${config.concurrency} (expected a positive integer)`
+    );
+  }
+
+  config.port = Number(config.port);
+  if (
+    !Number.isInteger(config.port) ||
+    config.port < 0 ||
+    config.port > 65535
+  ) {
+    throw new Error(`Invalid port: ${config.port} (expected 0-65535)`);
+  }
+
+  return config;
+}
+
+/**
+ * Accept arrays or comma separated strings for list options
+ */
+function toList(value) {
+  if (Array.isArray(value)) return value.map(String);
+  if (typeof value !== "string") return [];
+  return value
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Validate the layout option: a named layout or a list of directory globs
+ */
+function normalizeLayout(layout) {
+  if (LAYOUTS.includes(layout)) return layout;
+
+  const globs = toList(layout);
+  if (globs.length === 0) {
+    throw new Error(
+      `Invalid layout: ${layout} (expected ${LAYOUTS.join(
+        ", "
+      )} or a list of directory globs)`
+    );
+  }
+  return globs;
+}
+
+module.exports = {
+  CONFIG_FILES,
+  DEFAULT_CONFIG,
+  LAYOUTS,
+  CLI_OPTIONS,
+  CLI_SWITCHES,
+  getArgValue,
+  parseAge,
+  findConfigFile,
+  loadConfig,
+};
@@ -0,0 +1,497 @@
+/**
+ * Local web dashboard for scan results (--serve)
+ *
+ * Serves a single page listing the candidates with thumbnails, grouped by
+ * month and base name, and a small JSON API to delete a selection (with
+ * backup) or restore a backup. Thumbnails are only served for current
+ * candidates. Changes need the per-run token embedded in the page, and on
+ * loopback only local Host headers are accepted (DNS rebinding).
+ */
+
+const crypto = require("crypto");
+const fsSync = require("fs");
+const http = require("http");
+const path = require("path");
+
+const LOOPBACK_HOSTS = ["127.0.0.1", "localhost", "::1", "[::1]"];
+
+const CONTENT_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".avif": "image/avif",
+};
+
+// Largest request body accepted (a selection of paths)
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Whether a host name or address only accepts local connections
+ */
+function isLoopback(host) {
+  return LOOPBACK_HOSTS.includes(host) || /^127\.\d+\.\d+\.\d+$/.test(host);
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Cache-Control": "no-store",
+  });
+  res.end(JSON.stringify(body));
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error("Request body too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}"));
+      } catch (error) {
+        reject(new Error(`Invalid JSON: ${error.message}`));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Start the dashboard
+ * actions: {
+ *   getCandidates() → [{ path, relativePath, ... }]
+ *   getSummary() → { uploads, totalScanned, ... }
+ *   listBackups() → [name]
+ *   deleteFiles(relativePaths) → result
+ *   restoreBackup(name) → result
+ *   rescan() → result
+ * }
+ * Resolves with { url, close() } once the server is listening.
+ */
+function startDashboard(actions, { host = "127.0.0.1", port = 8080 } = {}) {
+  const token = crypto.randomBytes(24).toString("hex");
+  const loopback = isLoopback(host);
+  let busy = null;
+
+  // Candidates by uploads-relative POSIX path
+  const getCandidateMap = () =>
+    new Map(
+      actions
+        .getCandidates()
+        .map((file) => [file.relativePath.split(path.sep).join("/"), file])
+    );
+
+  // Run one change at a time; the scan state is shared
+  const runExclusive = async (name, task) => {
+    if (busy) {
+      const error = new Error(`Busy: ${busy} is still running`);
+      error.status = 409;
+      throw error;
+    }
+    busy = name;
+    try {
+      return await task();
+    } finally {
+      busy = null;
+    }
+  };
+
+  const handleApi = async (req, res, pathname) => {
+    if (req.method === "GET" && pathname === "/api/candidates") {
+      const files = [...getCandidateMap()].map(([relativePath, file]) => ({
+        path: relativePath,
+        filename: path.basename(relativePath),
+        directory: path.posix.dirname(relativePath),
+        blogId: file.blogId ?? null,
+        baseName: file.baseName,
+        dimensions: file.dimensions,
+        category: file.category,
+        rule: file.rule || null,
+        group: file.group || null,
+        dbStatus: file.dbStatus || null,
+        size: file.size,
+      }));
+      sendJson(res, 200, { ...actions.getSummary(), busy, files });
+      return;
+    }
+
+    if (req.method === "GET" && pathname === "/api/backups") {
+      sendJson(res, 200, { backups: await actions.listBackups() });
+      return;
+    }
+
+    if (req.method !== "POST") {
+      sendJson(res, 404, { error: "Not found" });
+      return;
+    }
+
+    // Changes need the page token in a custom header - other sites can't
+    // send that without a CORS preflight, which is never answered
+    if (req.headers["x-oic-token"] !== token) {
+      sendJson(res, 403, { error: "Missing or wrong dashboard token" });
+      return;
+    }
+    const body = await readJsonBody(req);
+
+    if (pathname === "/api/delete") {
+      if (!Array.isArray(body.paths) || body.paths.length === 0) {
+        sendJson(res, 400, { error: "No files selected" });
+        return;
+      }
+      const candidates = getCandidateMap();
+      const unknown = body.paths.filter((p) => !candidates.has(p));
+      if (unknown.length > 0) {
+        sendJson(res, 400, {
+          error: `Not current candidates (scan again): ${unknown
+            .slice(0, 5)
+            .join(", ")}${unknown.length > 5 ? ", ..." : ""}`,
+        });
+        return;
+      }
+      const result = await runExclusive("delete", () =>
+        actions.deleteFiles(body.paths)
+      );
+      sendJson(res, 200, result);
+      return;
+    }
+
+    if (pathname === "/api/restore") {
+      const backups = await actions.listBackups();
+      if (!backups.includes(body.backup)) {
+        sendJson(res, 400, { error: `Unknown backup: ${body.backup}` });
+        return;
+      }
+      const result = await runExclusive("restore", () =>
+        actions.restoreBackup(body.backup)
+      );
+      sendJson(res, 200, result);
+      return;
+    }
+
+    if (pathname === "/api/rescan") {
+      const result = await runExclusive("rescan", () => actions.rescan());
+      sendJson(res, 200, result);
+      return;
+    }
+
+    sendJson(res, 404, { error: "Not found" });
+  };
+
+  const serveFile = (res, relativePath) => {
+    const file = getCandidateMap().get(relativePath);
+    const type = CONTENT_TYPES[path.extname(relativePath).toLowerCase()];
+    if (!file || !type) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    fsSync
+      .createReadStream(file.path)
+      .on("open", () =>
+        res.writeHead(200, {
+          "Content-Type": type,
+          "Cache-Control": "no-store",
+        })
+      )
+      .on("error", () => {
+        if (!res.headersSent) res.writeHead(404);
+        res.end();
+      })
+      .pipe(res);
+  };
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      const hostname = new URL(`http://${req.headers.host || ""}`).hostname;
+      if (loopback && !isLoopback(hostname)) {
+        sendJson(res, 403, { error: `Unexpected Host header: ${hostname}` });
+        return;
+      }
+
+      const { pathname } = new URL(req.url, "http://localhost");
+      if (req.method === "GET" && pathname === "/") {
+        res.writeHead(200, {
+          "Content-Type": "text/html; charset=utf-8",
+          "Cache-Control": "no-store",
+        });
+        res.end(renderPage(token));
+      } else if (req.method === "GET" && pathname.startsWith("/files/")) {
+        serveFile(res, decodeURIComponent(pathname.slice("/files/".length)));
+      } else if (pathname.startsWith("/api/")) {
+        await handleApi(req, res, pathname);
+      } else {
+        sendJson(res, 404, { error: "Not found" });
+      }
+    } catch (error) {
+      if (!res.headersSent) {
+        sendJson(res, error.status || 500, { error: error.message });
+      } else {
+        res.end();
+      }
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      const address = server.address();
+      const urlHost = address.family === "IPv6" ? `[${host}]` : host;
+      resolve({
+        url: `http://${urlHost}:${address.port}/`,
+        loopback,
+        close: () => new Promise((done) => server.close(() => done())),
+      });
+    });
+  });
+}
+
+/**
+ * The dashboard page (plain HTML, CSS and JS, no external assets)
+ */
+function renderPage(token) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Orphaned Image Cleaner</title>
+<style>
+  body { font: 14px/1.4 system-ui, sans-serif; margin: 0; color: #1d2327; background: #f0f0f1; }
+  header { position: sticky; top: 0; z-index: 1; background: #fff; border-bottom: 1px solid #c3c4c7; padding: 12px 20px; }
+  h1 { font-size: 18px; margin: 0 0 8px; }
+  .bar { display: flex; flex-wrap: wrap; gap: 8px; align-items: center; margin-top: 6px; }
+  .bar input, .bar select { padding: 4px 6px; }
+  .totals { color: #50575e; }
+  button { padding: 5px 12px; cursor: pointer; }
+  button.danger { background: #d63638; border: 1px solid #b32d2e; color: #fff; }
+  button:disabled { opacity: 0.5; cursor: default; }
+  #status { margin-top: 6px; min-height: 1.4em; }
+  #status.error { color: #b32d2e; }
+  main { padding: 12px 20px 40px; }
+  section { background: #fff; border: 1px solid #c3c4c7; margin-bottom: 16px; }
+  section > h2 { font-size: 15px; margin: 0; padding: 8px 12px; background: #f6f7f7; border-bottom: 1px solid #c3c4c7; }
+  .group { padding: 8px 12px; border-top: 1px solid #f0f0f1; }
+  .group h3 { font-size: 13px; margin: 0 0 6px; font-weight: 600; }
+  .tiles { display: flex; flex-wrap: wrap; gap: 8px; }
+  .tile { width: 150px; border: 1px solid #dcdcde; padding: 4px; cursor: pointer; font-size: 12px; word-break: break-all; }
+  .tile.selected { border-color: #d63638; background: #fcf0f1; }
+  .tile img { display: block; width: 150px; height: 110px; object-fit: contain; background: #f6f7f7; }
+  .meta { color: #646970; }
+  .empty { padding: 40px; text-align: center; color: #646970; }
+</style>
+</head>
+<body>
+<header>
+  <h1>🔍 Orphaned Image Cleaner</h1>
+  <div class="totals" id="summary"></div>
+  <div class="bar">
+    <input id="search" type="search" placeholder="Name contains">
+    <select id="category"><option value="">All categories</option></select>
+    <input id="dimensions" placeholder="Dimensions e.g. *x150" size="16">
+    <input id="minSize" type="number" min="0" placeholder="Min KB" style="width: 80px">
+    <input id="maxSize" type="number" min="0" placeholder="Max KB" style="width: 80px">
+    <button id="selectVisible">Select shown</button>
+    <button id="clearSelection">Clear selection</button>
+    <button id="delete" class="danger">Back up &amp; delete selected</button>
+  </div>
+  <div class="bar">
+    <span class="totals" id="totals"></span>
+  </div>
+  <div class="bar">
+    <select id="backups"></select>
+    <button id="restore">Restore backup</button>
+    <button id="rescan">Rescan uploads</button>
+  </div>
+  <div id="status"></div>
+</header>
+<main id="list"></main>
+<script>
+const TOKEN = ${JSON.stringify(token)};
+let files = [];
+const selected = new Set();
+const $ = (id) => document.getElementById(id);
+
+function el(tag, props = {}, children = []) {
+  const node = Object.assign(document.createElement(tag), props);
+  children.forEach((child) => node.append(child));
+  return node;
+}
+
+function formatBytes(bytes) {
+  if (bytes === 0) return "0 Bytes";
+  const i = Math.floor(Math.log(bytes) / Math.log(1024));
+  return parseFloat((bytes / Math.pow(1024, i)).toFixed(2)) + " " + ["Bytes", "KB", "MB", "GB"][i];
+}
+
+function setStatus(message, isError = false) {
+  $("status").textContent = message;
+  $("status").className = isError ? "error" : "";
+}
+
+async function api(url, body) {
+  const response = await fetch(url, body === undefined ? {} : {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-OIC-Token": TOKEN },
+    body: JSON.stringify(body),
+  });
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error || response.statusText);
+  return data;
+}
+
+// Month (or directory) a file is listed under, with the site for multisite
+function monthOf(file) {
+  const month = file.directory.match(/\\d{4}\\/\\d{2}$/);
+  const label = month ? month[0] : file.directory === "." ? "(uploads root)" : file.directory;
+  return file.blogId !== null ? "Site " + file.blogId + " · " + label : label;
+}
+
+function getVisibleFiles() {
+  const search = $("search").value.trim().toLowerCase();
+  const category = $("category").value;
+  const dims = $("dimensions").value.split(",").map((d) => d.trim()).filter(Boolean)
+    .map((d) => new RegExp("^" + d.replace(/[.+^$\\{\\}()|[\\]\\\\]/g, "\\\\$&").replace(/\\*/g, "\\\\d+") + "$", "i"));
+  const min = parseFloat($("minSize").value) * 1024;
+  const max = parseFloat($("maxSize").value) * 1024;
+  return files.filter((file) =>
+    (!search || file.path.toLowerCase().includes(search)) &&
+    (!category || file.category === category) &&
+    (dims.length === 0 || dims.some((re) => re.test(file.dimensions))) &&
+    (isNaN(min) || file.size >= min) &&
+    (isNaN(max) || file.size <= max)
+  );
+}
+
+function toggleAll(list, checked) {
+  list.forEach((file) => checked ? selected.add(file.path) : selected.delete(file.path));
+  render();
+}
+
+function groupCheckbox(list) {
+  const count = list.filter((file) => selected.has(file.path)).length;
+  const box = el("input", { type: "checkbox", checked: count === list.length && count > 0 });
+  box.indeterminate = count > 0 && count < list.length;
+  box.addEventListener("change", () => toggleAll(list, box.checked));
+  return box;
+}
+
+function render() {
+  const visible = getVisibleFiles();
+  const sum = (list) => list.reduce((total, file) => total + file.size, 0);
+  const picked = files.filter((file) => selected.has(file.path));
+  $("totals").textContent = "Showing " + visible.length + " of " + files.length + " files (" +
+    formatBytes(sum(visible)) + ") · Selected " + picked.length + " (" + formatBytes(sum(picked)) + ")";
+  $("delete").disabled = picked.length === 0;
+
+  const months = new Map();
+  visible.forEach((file) => {
+    const month = monthOf(file);
+    if (!months.has(month)) months.set(month, new Map());
+    const groups = months.get(month);
+    const key = file.group || file.baseName;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(file);
+  });
+
+  const list = $("list");
+  list.replaceChildren();
+  if (visible.length === 0) {
+    list.append(el("div", { className: "empty", textContent: files.length ? "No files match the filters" : "✅ No orphaned images found!" }));
+    return;
+  }
+  [...months.keys()].sort().forEach((month) => {
+    const groups = months.get(month);
+    const monthFiles = [...groups.values()].flat();
+    const section = el("section", {}, [
+      el("h2", {}, [groupCheckbox(monthFiles), " 📁 " + month + " — " + monthFiles.length + " files, " + formatBytes(sum(monthFiles))]),
+    ]);
+    [...groups.keys()].sort().forEach((baseName) => {
+      const groupFiles = groups.get(baseName);
+      const tiles = groupFiles.map((file) => {
+        const tile = el("label", { className: "tile" + (selected.has(file.path) ? " selected" : ""), title: file.path }, [
+          el("img", { src: "/files/" + file.path.split("/").map(encodeURIComponent).join("/"), loading: "lazy", alt: "" }),
+          el("div", {}, [el("input", { type: "checkbox", checked: selected.has(file.path) }), " " + file.filename]),
+          el("div", { className: "meta", textContent: file.dimensions + " · " + formatBytes(file.size) + " · " + file.category + (file.dbStatus ? " · " + file.dbStatus : "") }),
+        ]);
+        tile.querySelector("input").addEventListener("change", (event) => toggleAll([file], event.target.checked));
+        return tile;
+      });
+      section.append(el("div", { className: "group" }, [
+        el("h3", {}, [groupCheckbox(groupFiles), " " + baseName + " (" + groupFiles.length + " files, " + formatBytes(sum(groupFiles)) + ")"]),
+        el("div", { className: "tiles" }, tiles),
+      ]));
+    });
+    list.append(section);
+  });
+}
+
+async function load() {
+  const data = await api("/api/candidates");
+  files = data.files;
+  const paths = new Set(files.map((file) => file.path));
+  [...selected].forEach((p) => paths.has(p) || selected.delete(p));
+  $("summary").textContent = data.uploads + " · " + data.totalScanned + " files scanned · " +
+    files.length + " candidates (" + formatBytes(data.totalSize) + ")";
+
+  const category = $("category");
+  const current = category.value;
+  category.replaceChildren(el("option", { value: "", textContent: "All categories" }));
+  [...new Set(files.map((file) => file.category))].sort().forEach((name) =>
+    category.append(el("option", { value: name, textContent: name, selected: name === current })));
+
+  const { backups } = await api("/api/backups");
+  $("backups").replaceChildren(...(backups.length ? backups.map((name) => el("option", { value: name, textContent: name }))
+    : [el("option", { value: "", textContent: "No backups" })]));
+  $("restore").disabled = backups.length === 0;
+  render();
+}
+
+async function perform(message, url, body) {
+  document.querySelectorAll("button").forEach((button) => (button.disabled = true));
+  setStatus(message);
+  try {
+    const result = await api(url, body);
+    setStatus(result.message);
+  } catch (error) {
+    setStatus(error.message, true);
+  }
+  await load().catch((error) => setStatus(error.message, true));
+  document.querySelectorAll("button").forEach((button) => (button.disabled = false));
+  render();
+}
+
+["search", "category", "dimensions", "minSize", "maxSize"].forEach((id) => $(id).addEventListener("input", render));
+$("selectVisible").addEventListener("click", () => toggleAll(getVisibleFiles(), true));
+$("clearSelection").addEventListener("click", () => toggleAll(files, false));
+$("rescan").addEventListener("click", () => perform("Rescanning uploads...", "/api/rescan", {}));
+$("delete").addEventListener("click", () => {
+  const paths = files.filter((file) => selected.has(file.path)).map((file) => file.path);
+  if (!confirm("Back up and delete " + paths.length + " files?")) return;
+  perform("Backing up and deleting " + paths.length + " files...", "/api/delete", { paths });
+});
+$("restore").addEventListener("click", () => {
+  const backup = $("backups").value;
+  if (!backup || !confirm("Restore all files from " + backup + "?")) return;
+  perform("Restoring " + backup + "...", "/api/restore", { backup });
+});
+
+load().catch((error) => setStatus(error.message, true));
+</script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  startDashboard,
+  isLoopback,
+};
@@ -0,0 +1,114 @@
+/**
+ * Minimal glob matching for paths relative to the uploads directory
+ *
+ * Supports `*` (anything except /), `?` (one character except /),
+ * `**` (any number of path segments) and `{a,b}` alternatives.
+ * Paths are always compared with forward slashes.
+ */
+
+const path = require("path");
+
+/**
+ * Convert a path to forward slashes
+ */
+function toPosix(filePath) {
+  return filePath.split(path.sep).join("/");
+}
+
+/**
+ * Convert one glob fragment (no ** handling) to a regex source string
+ */
+function fragmentToRegExp(fragment) {
+  let source = "";
+  for (let i = 0; i < fragment.length; i++) {
+    const char = fragment[i];
+    if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "{") {
+      const end = fragment.indexOf("}", i);
+      if (end === -1) {
+        source += "\\{";
+        continue;
+      }
+      const options = fragment.slice(i + 1, end).split(",");
+      source += `(?:${options.map(fragmentToRegExp).join("|")})`;
+      i = end;
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, "\\$&");
+    }
+  }
+  return source;
+}
+
+/**
+ * Compile a glob pattern to a regular expression
+ */
+function globToRegExp(pattern) {
+  const segments = toPosix(pattern).replace(/^\.\//, "").split("/");
+  let source = "";
+
+  segments.forEach((segment, index) => {
+    const isLast = index === segments.length - 1;
+    if (segment === "**") {
+      // Zero or more whole segments ("dir/**" also matches "dir" itself)
+      if (!isLast) {
+        source += "(?:[^/]+/)*";
+      } else if (source.endsWith("/")) {
+        source = source.slice(0, -1) + "(?:/.*)?";
+      } else {
+        source += ".*";
+      }
+    } else {
+      source += fragmentToRegExp(segment) + (isLast ? "" : "/");
+    }
+  });
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Check if a relative path matches a glob pattern
+ */
+function matchesGlob(relativePath, pattern) {
+  return globToRegExp(pattern).test(toPosix(relativePath));
+}
+
+/**
+ * Check a relative path against a glob, or its file name when the pattern
+ * has no slash ("hero-*.jpg" matches in any directory)
+ */
+function matchesPathOrName(relativePath, pattern) {
+  return (
+    matchesGlob(relativePath, pattern) ||
+    (!pattern.includes("/") &&
+      matchesGlob(path.posix.basename(toPosix(relativePath)), pattern))
+  );
+}
+
+/**
+ * Check if anything below a directory could match a glob pattern
+ * (used to avoid descending into directories that can never match)
+ */
+function matchesGlobPrefix(relativePath, pattern) {
+  const pathSegments = toPosix(relativePath).split("/").filter(Boolean);
+  const patternSegments = toPosix(pattern).replace(/^\.\//, "").split("/");
+
+  for (let i = 0; i < pathSegments.length; i++) {
+    const segment = patternSegments[i];
+    if (segment === undefined) return false;
+    if (segment === "**") return true;
+    const regex = new RegExp(`^${fragmentToRegExp(segment)}$`);
+    if (!regex.test(pathSegments[i])) return false;
+  }
+  return true;
+}
+
+module.exports = {
+  toPosix,
+  globToRegExp,
+  matchesGlob,
+  matchesPathOrName,
+  matchesGlobPrefix,
+};
@@ -0,0 +1,169 @@
+/**
+ * Registered WordPress image sizes for stale-size detection
+ *
+ * Sizes come from a JSON file or are inferred by sampling the REST API
+ * (media_details.sizes), the same way tests/get-image-sizes.js does.
+ */
+
+const fs = require("fs").promises;
+const http = require("http");
+const https = require("https");
+
+// Pages of 100 media items sampled from the REST API
+const REST_SAMPLE_PAGES = 3;
+
+/**
+ * Normalize a size definition list
+ * Accepts { name: { width, height, crop } } or [{ name, width, height, crop }]
+ */
+function normalizeSizes(data) {
+  const entries = Array.isArray(data)
+    ? data.map((size) => [size.name, size])
+    : Object.entries(data.sizes || data);
+
+  return entries
+    .filter(([name]) => name !== "full")
+    .map(([name, size]) => ({
+      name,
+      width: Number(size.width) || 0,
+      height: Number(size.height) || 0,
+      crop: Boolean(size.crop),
+    }))
+    .filter((size) => size.width > 0 || size.height > 0);
+}
+
+/**
+ * Fetch JSON over http(s)
+ */
+function fetchJson(url) {
+  const client = url.startsWith("https:") ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const request = client.get(url, (response) => {
+      let data = "";
+
+      response.on("data", (chunk) => {
+        data += chunk;
+      });
+
+      response.on("end", () => {
+        if (response.statusCode >= 400) {
+          reject(new Error(`HTTP ${response.statusCode} from ${url}`));
+          return;
+        }
+        try {
+          resolve(JSON.parse(data));
+        } catch (error) {
+          reject(new Error(`Invalid JSON from ${url}: ${error.message}`));
+        }
+      });
+    });
+
+    request.on("error", reject);
+    request.setTimeout(10000, () => {
+      request.destroy();
+      reject(new Error(`Request timeout: ${url}`));
+    });
+  });
+}
+
+/**
+ * Infer registered sizes from generated files of sampled media items
+ * A size that always has the same dimensions is treated as cropped,
+ * otherwise as proportional within the largest width and height seen.
+ */
+function inferSizes(mediaItems) {
+  const seen = {};
+
+  mediaItems.forEach((item) => {
+    const sizes = (item.media_details && item.media_details.sizes) || {};
+    Object.entries(sizes).forEach(([name, size]) => {
+      if (name === "full") return;
+      if (!seen[name]) seen[name] = new Set();
+      seen[name].add(`${size.width}x${size.height}`);
+    });
+  });
+
+  return Object.entries(seen).map(([name, dimensions]) => {
+    const pairs = [...dimensions].map((d) => d.split("x").map(Number));
+    return {
+      name,
+      width: Math.max(...pairs.map(([width]) => width)),
+      height: Math.max(...pairs.map(([, height]) => height)),
+      crop: dimensions.size === 1,
+    };
+  });
+}
+
+/**
+ * Sample the REST API of a site and infer its registered sizes
+ */
+async function fetchSizesFromRest(siteUrl) {
+  const mediaItems = [];
+
+  for (let page = 1; page <= REST_SAMPLE_PAGES; page++) {
+    const url = `${siteUrl.replace(
+      /\/+$/,
+      ""
+    )}/wp-json/wp/v2/media?per_page=100&media_type=image&page=${page}`;
+
+    let items;
+    try {
+      items = await fetchJson(url);
+    } catch (error) {
+      // Past the last page WordPress answers with HTTP 400
+      if (page > 1) break;
+      throw error;
+    }
+    if (!Array.isArray(items) || items.length === 0) break;
+    mediaItems.push(...items);
+  }
+
+  return inferSizes(mediaItems);
+}
+
+/**
+ * Load registered sizes from a JSON file or a site URL
+ */
+async function loadRegisteredSizes(source) {
+  if (/^https?:\/\//i.test(source)) {
+    return fetchSizesFromRest(source);
+  }
+  return normalizeSizes(JSON.parse(await fs.readFile(source, "utf8")));
+}
+
+/**
+ * Find the registered size that can produce a WxH variant (or null)
+ *
+ * Cropped sizes give exactly width x height, or less in one direction when
+ * the original was smaller. Proportional sizes fill the width or the height
+ * bound (0 = unbounded) and stay within the other one.
+ */
+function findRegisteredSize(width, height, sizes) {
+  return (
+    sizes.find((size) => {
+      if (size.crop) {
+        return (
+          width <= size.width &&
+          height <= size.height &&
+          (width === size.width || height === size.height)
+        );
+      }
+
+      const fitsWidth = size.width === 0 || width <= size.width;
+      const fitsHeight = size.height === 0 || height <= size.height;
+      return (
+        (size.width > 0 && width === size.width && fitsHeight) ||
+        (size.height > 0 && height === size.height && fitsWidth)
+      );
+    }) || null
+  );
+}
+
+module.exports = {
+  normalizeSizes,
+  inferSizes,
+  fetchSizesFromRest,
+  loadRegisteredSizes,
+  findRegisteredSize,
+};
@@ -0,0 +1,133 @@
+/**
+ * Minimal PHP unserialize() for WordPress metadata
+ *
+ * Supports the types WordPress stores in postmeta: null, booleans,
+ * integers, floats, strings, arrays and objects (returned as plain objects).
+ * String lengths are byte counts, so parsing works on a UTF-8 buffer.
+ */
+
+/**
+ * Parse a PHP serialized string
+ * Arrays with keys 0..n-1 become JS arrays, all other arrays become objects
+ */
+function unserialize(input) {
+  const buffer = Buffer.isBuffer(input) ? input : Buffer.from(input, "utf8");
+  let offset = 0;
+
+  const fail = (message) => {
+    throw new Error(`Invalid serialized data at byte ${offset}: ${message}`);
+  };
+
+  const expect = (char) => {
+    if (buffer[offset] !== char.charCodeAt(0)) {
+      fail(`expected "${char}"`);
+    }
+    offset++;
+  };
+
+  const readUntil = (char) => {
+    const end = buffer.indexOf(char, offset);
+    if (end === -1) fail(`missing "${char}"`);
+    const value = buffer.toString("utf8", offset, end);
+    offset = end + 1;
+    return value;
+  };
+
+  // Read `len:"value"` - the character after the closing quote is `after`
+  const readString = (after) => {
+    const length = parseInt(readUntil(":"), 10);
+    expect('"');
+    let end = offset + length;
+
+    // Lengths are often wrong after a naive search-replace on the database -
+    // fall back to the closing quote instead of giving up
+    if (buffer[end] !== 0x22 || buffer[end + 1] !== after.charCodeAt(0)) {
+      end = buffer.indexOf(`"${after}`, offset);
+      if (end === -1) fail("unterminated string");
+    }
+
+    const value = buffer.toString("utf8", offset, end);
+    offset = end + 1;
+    return value;
+  };
+
+  const readEntries = () => {
+    const count = parseInt(readUntil(":"), 10);
+    expect("{");
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+      const key = parseValue();
+      entries.push([key, parseValue()]);
+    }
+    expect("}");
+    return entries;
+  };
+
+  const toArray = (entries) => {
+    const isList = entries.every(([key], index) => key === index);
+    if (isList) return entries.map(([, value]) => value);
+    const object = {};
+    entries.forEach(([key, value]) => {
+      object[key] = value;
+    });
+    return object;
+  };
+
+  function parseValue() {
+    const type = String.fromCharCode(buffer[offset]);
+    offset++;
+
+    switch (type) {
+      case "N":
+        expect(";");
+        return null;
+      case "b":
+        expect(":");
+        return readUntil(";") === "1";
+      case "i":
+        expect(":");
+        return parseInt(readUntil(";"), 10);
+      case "d":
+        expect(":");
+        return parseFloat(readUntil(";"));
+      case "s": {
+        expect(":");
+        const value = readString(";");
+        expect(";");
+        return value;
+      }
+      case "a":
+        expect(":");
+        return toArray(readEntries());
+      case "O": {
+        expect(":");
+        readString(":"); // Class name
+        expect(":");
+        const object = {};
+        readEntries().forEach(([key, value]) => {
+          object[key] = value;
+        });
+        return object;
+      }
+      case "r":
+      case "R":
+        // References to other values are not needed for metadata
+        expect(":");
+        readUntil(";");
+        return null;
+      default:
+        return fail(`unsupported type "${type}"`);
+    }
+  }
+
+  return parseValue();
+}
+
+/**
+ * Check if a string looks like PHP serialized data
+ */
+function isSerialized(value) {
+  return typeof value === "string" && /^(a|O|s|i|d|b):|^N;/.test(value);
+}
+
+module.exports = { unserialize, isSerialized };
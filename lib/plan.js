@@ -0,0 +1,154 @@
+/**
+ * Deletion plans for review-and-execute runs
+ *
+ * --dry-run --plan-out writes every candidate with its size, mtime and
+ * SHA-256. --clean --plan only deletes files that still match. The plan
+ * itself carries a digest of its contents (an HMAC when WP_OIC_PLAN_KEY is
+ * set) so edits after approval are detected.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const fsSync = require("fs");
+const path = require("path");
+
+const PLAN_VERSION = 1;
+
+// Environment variable holding the key plans are signed with
+const PLAN_KEY_ENV = "WP_OIC_PLAN_KEY";
+
+/**
+ * SHA-256 of a file's contents (hex)
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fsSync
+      .createReadStream(filePath)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")))
+      .on("error", reject);
+  });
+}
+
+/**
+ * Digest of everything in a plan except its integrity block
+ */
+function digestPlan(plan, key) {
+  const { integrity, ...body } = plan;
+  const data = JSON.stringify(body);
+  return key
+    ? crypto.createHmac("sha256", key).update(data).digest("hex")
+    : crypto.createHash("sha256").update(data).digest("hex");
+}
+
+/**
+ * Build a plan for the given candidates
+ * Each file is { path, relativePath, ...details } - details are kept as-is
+ */
+async function createPlan(files, { uploadsPath, options = {}, key = null }) {
+  const entries = [];
+  for (const file of files) {
+    const stat = await fs.stat(file.path);
+    const { path: absolutePath, relativePath, ...details } = file;
+    entries.push({
+      path: relativePath.split(path.sep).join("/"),
+      size: stat.size,
+      mtime: stat.mtime.toISOString(),
+      sha256: await hashFile(absolutePath),
+      ...details,
+    });
+  }
+
+  const plan = {
+    version: PLAN_VERSION,
+    created: new Date().toISOString(),
+    uploads: uploadsPath,
+    options,
+    totalFiles: entries.length,
+    totalSize: entries.reduce((total, entry) => total + entry.size, 0),
+    files: entries,
+  };
+  plan.integrity = {
+    algorithm: key ? "hmac-sha256" : "sha256",
+    digest: digestPlan(plan, key),
+  };
+  return plan;
+}
+
+/**
+ * Read a plan file and check its integrity
+ */
+async function readPlan(planPath, key = null) {
+  let plan;
+  try {
+    plan = JSON.parse(await fs.readFile(planPath, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read plan ${planPath}: ${error.message}`);
+  }
+
+  if (plan.version !== PLAN_VERSION || !Array.isArray(plan.files)) {
+    throw new Error(`${planPath} is not a plan written by --plan-out`);
+  }
+
+  const { algorithm, digest } = plan.integrity || {};
+  if (algorithm === "hmac-sha256" && !key) {
+    throw new Error(
+      `${planPath} is signed - set ${PLAN_KEY_ENV} to the key it was signed with`
+    );
+  }
+  // Anyone can recompute a plain digest, so with a key only signed plans count
+  if (key && algorithm !== "hmac-sha256") {
+    throw new Error(
+      `${planPath} is not signed - with ${PLAN_KEY_ENV} set, only plans signed with that key are accepted`
+    );
+  }
+  if (
+    !digest ||
+    digest !== digestPlan(plan, algorithm === "hmac-sha256" ? key : null)
+  ) {
+    throw new Error(
+      `${planPath} was modified after it was written${
+        algorithm === "hmac-sha256" ? " or signed with another key" : ""
+      } (integrity check failed)`
+    );
+  }
+
+  return plan;
+}
+
+/**
+ * Check that a planned file is unchanged on disk
+ * Returns null when it matches, otherwise the reason it does not
+ */
+async function checkPlanEntry(entry, uploadsPath) {
+  const filePath = path.join(uploadsPath, entry.path);
+
+  let stat;
+  try {
+    stat = await fs.stat(filePath);
+  } catch (error) {
+    return "file no longer exists";
+  }
+
+  if (stat.size !== entry.size) {
+    return `size changed (${entry.size} → ${stat.size} bytes)`;
+  }
+  if (stat.mtime.toISOString() !== entry.mtime) {
+    return `modified since the plan was written (${
+      entry.mtime
+    } → ${stat.mtime.toISOString()})`;
+  }
+  if ((await hashFile(filePath)) !== entry.sha256) {
+    return "contents changed (SHA-256 mismatch)";
+  }
+  return null;
+}
+
+module.exports = {
+  PLAN_KEY_ENV,
+  hashFile,
+  createPlan,
+  readPlan,
+  checkPlanEntry,
+};
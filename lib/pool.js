@@ -0,0 +1,36 @@
+/**
+ * Bounded concurrency for async filesystem work
+ */
+
+/**
+ * Create a limiter that runs at most `concurrency` tasks at once
+ * Usage: const limit = createLimiter(4); await limit(() => fs.readdir(dir));
+ *
+ * Tasks must not wait on other limited tasks while they hold a slot,
+ * otherwise a full pool can deadlock.
+ */
+function createLimiter(concurrency) {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) return;
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return (task) =>
+    new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      next();
+    });
+}
+
+module.exports = { createLimiter };
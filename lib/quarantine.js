@@ -0,0 +1,114 @@
+/**
+ * Quarantine tree for soft-deleted files (--quarantine)
+ *
+ * Each run moves its files into a batch directory that keeps their paths
+ * relative to uploads:
+ *   <quarantine>/<prefix>-<timestamp>/2021/03/photo-300x200.jpg
+ * index.json lists every quarantined file with the batch it is in, so files
+ * can be released (moved back) or purged once they are old enough.
+ */
+
+const fs = require("fs").promises;
+const { constants } = require("fs");
+const path = require("path");
+
+const INDEX_FILE = "index.json";
+const INDEX_VERSION = 1;
+
+/**
+ * Read the quarantine index (an empty one if there is none yet)
+ */
+async function readIndex(quarantineDir, uploadsPath) {
+  const indexPath = path.join(quarantineDir, INDEX_FILE);
+
+  let index;
+  try {
+    index = JSON.parse(await fs.readFile(indexPath, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return { version: INDEX_VERSION, uploads: uploadsPath, files: [] };
+    }
+    throw new Error(
+      `Could not read quarantine index ${indexPath}: ${error.message}`
+    );
+  }
+
+  if (index.version !== INDEX_VERSION || !Array.isArray(index.files)) {
+    throw new Error(`${indexPath} is not a quarantine index`);
+  }
+  // Releasing into another site's uploads would scatter its files
+  if (index.uploads !== uploadsPath) {
+    throw new Error(
+      `Quarantine ${quarantineDir} belongs to ${index.uploads} - use another --quarantine-dir for ${uploadsPath}`
+    );
+  }
+  return index;
+}
+
+/**
+ * Write the index (via a temporary file so it is never half written)
+ */
+async function writeIndex(quarantineDir, index) {
+  const indexPath = path.join(quarantineDir, INDEX_FILE);
+  const tempPath = `${indexPath}.tmp`;
+
+  await fs.mkdir(quarantineDir, { recursive: true });
+  await fs.writeFile(tempPath, JSON.stringify(index, null, 2));
+  await fs.rename(tempPath, indexPath);
+}
+
+/**
+ * Move a file, copying when source and target are on different filesystems
+ * Refuses to overwrite an existing target.
+ */
+async function moveFile(source, target) {
+  const exists = await fs.access(target).then(
+    () => true,
+    () => false
+  );
+  if (exists) {
+    throw new Error(`${target} already exists`);
+  }
+
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  try {
+    await fs.rename(source, target);
+  } catch (error) {
+    if (error.code !== "EXDEV") throw error;
+    await fs.copyFile(source, target, constants.COPYFILE_EXCL);
+    const stat = await fs.stat(source);
+    await fs.utimes(target, stat.atime, stat.mtime);
+    await fs.unlink(source);
+  }
+}
+
+/**
+ * Remove empty directories from dir up to (not including) root
+ */
+async function removeEmptyDirs(dir, root) {
+  let current = dir;
+  while (current.startsWith(root + path.sep)) {
+    try {
+      await fs.rmdir(current);
+    } catch (error) {
+      return; // Not empty (or already gone)
+    }
+    current = path.dirname(current);
+  }
+}
+
+/**
+ * Where a quarantined file is kept
+ */
+function getQuarantinePath(quarantineDir, entry) {
+  return path.join(quarantineDir, entry.batch, ...entry.path.split("/"));
+}
+
+module.exports = {
+  INDEX_FILE,
+  readIndex,
+  writeIndex,
+  moveFile,
+  removeEmptyDirs,
+  getQuarantinePath,
+};
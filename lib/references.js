@@ -0,0 +1,175 @@
+/**
+ * Find uploads files referenced in site content
+ *
+ * Looks for wp-content/uploads/... paths in post content, postmeta, options
+ * and termmeta of a SQL dump, or in every text file of an exported content
+ * directory. JSON-escaped (wp-content\/uploads\/) and URL-encoded
+ * (wp-content%2Fuploads%2F) forms are found too.
+ */
+
+const fs = require("fs").promises;
+const fsSync = require("fs");
+const path = require("path");
+const readline = require("readline");
+const { readDumpRows } = require("./sql-dump");
+
+const UPLOADS_PATH_PATTERN =
+  /wp-content\/uploads\/([^\s"'<>()\\?#,;|`{}[\]]+)/g;
+
+// Locations kept per file (the total count is always recorded)
+const MAX_LOCATIONS = 5;
+
+// Columns that hold content, by table
+const CONTENT_COLUMNS = {
+  posts: ["post_content", "post_excerpt", "post_content_filtered"],
+  postmeta: ["meta_value"],
+  options: ["option_value"],
+  termmeta: ["meta_value"],
+};
+
+// Binary files skipped when reading an exported content directory
+const BINARY_EXTENSIONS =
+  /\.(jpe?g|png|gif|webp|avif|bmp|ico|pdf|zip|gz|tgz|bz2|xz|7z|mp[34]|mov|avi|woff2?|ttf|eot|otf)$/i;
+
+/**
+ * Undo JSON escaping and URL encoding of slashes so every form of an
+ * uploads URL looks the same
+ */
+function normalizeContent(text) {
+  return text.replace(/\\+\//g, "/").replace(/%2F/gi, "/");
+}
+
+/**
+ * Extract uploads-relative paths from a piece of content
+ */
+function extractUploadPaths(text) {
+  if (!text || !text.includes("uploads")) return [];
+
+  const paths = new Set();
+  const content = normalizeContent(text);
+  for (const match of content.matchAll(UPLOADS_PATH_PATTERN)) {
+    let relativePath = match[1].replace(/[.:]+$/, "");
+    try {
+      relativePath = decodeURIComponent(relativePath);
+    } catch (error) {
+      // Keep the raw path if it is not valid URL encoding
+    }
+    paths.add(relativePath);
+  }
+  return [...paths];
+}
+
+/**
+ * Collects references and where they were found
+ */
+class ReferenceIndex {
+  constructor() {
+    this.files = new Map();
+    this.stats = { sources: 0, references: 0 };
+  }
+
+  add(text, location) {
+    this.stats.sources++;
+    extractUploadPaths(text).forEach((relativePath) => {
+      this.stats.references++;
+      if (!this.files.has(relativePath)) {
+        this.files.set(relativePath, { count: 0, locations: [] });
+      }
+      const entry = this.files.get(relativePath);
+      entry.count++;
+      if (entry.locations.length < MAX_LOCATIONS) {
+        entry.locations.push(location);
+      }
+    });
+  }
+
+  get(relativePath) {
+    return this.files.get(relativePath) || null;
+  }
+}
+
+/**
+ * Describe where a dump row lives, e.g. "wp_postmeta post 12 _elementor_data"
+ */
+function describeRow(target, row, column) {
+  const table = `${target.prefix}${target.table}`;
+  switch (target.table) {
+    case "posts":
+      return `${table} post ${row.ID} ${column}`;
+    case "postmeta":
+      return `${table} post ${row.post_id} ${row.meta_key}`;
+    case "options":
+      return `${table} ${row.option_name}`;
+    case "termmeta":
+      return `${table} term ${row.term_id} ${row.meta_key}`;
+    default:
+      return table;
+  }
+}
+
+/**
+ * Read references from a SQL dump
+ */
+async function scanDump(dumpPath, index, tablePrefix) {
+  await readDumpRows(
+    dumpPath,
+    Object.keys(CONTENT_COLUMNS),
+    (target, row) => {
+      CONTENT_COLUMNS[target.table].forEach((column) => {
+        if (row[column]) {
+          index.add(row[column], describeRow(target, row, column));
+        }
+      });
+    },
+    tablePrefix
+  );
+}
+
+/**
+ * Read references from every text file below a directory
+ */
+async function scanDirectory(dirPath, index, rootPath = dirPath) {
+  const items = await fs.readdir(dirPath, { withFileTypes: true });
+
+  for (const item of items) {
+    const fullPath = path.join(dirPath, item.name);
+    if (item.isDirectory()) {
+      await scanDirectory(fullPath, index, rootPath);
+    } else if (item.isFile() && !BINARY_EXTENSIONS.test(item.name)) {
+      const relativePath = path.relative(rootPath, fullPath);
+      const lines = readline.createInterface({
+        input: fsSync.createReadStream(fullPath, { encoding: "utf8" }),
+        crlfDelay: Infinity,
+      });
+
+      let lineNumber = 0;
+      for await (const line of lines) {
+        lineNumber++;
+        index.add(line, `${relativePath}:${lineNumber}`);
+      }
+    }
+  }
+}
+
+/**
+ * Build a reference index from a SQL dump file or an exported content directory
+ */
+async function loadReferences(sourcePath, options = {}) {
+  const index = new ReferenceIndex();
+  const stat = await fs.stat(sourcePath);
+
+  if (stat.isDirectory()) {
+    await scanDirectory(sourcePath, index);
+  } else {
+    await scanDump(sourcePath, index, options.tablePrefix);
+  }
+
+  index.stats.files = index.files.size;
+  return index;
+}
+
+module.exports = {
+  extractUploadPaths,
+  ReferenceIndex,
+  loadReferences,
+};
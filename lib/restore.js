@@ -0,0 +1,146 @@
+/**
+ * Filters for selective restores (--restore --only/--month/--base-name/--from-csv)
+ *
+ * Each filter is checked against the manifest entries of a backup, and an
+ * entry is restored when it passes all of them.
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const { toPosix, matchesPathOrName } = require("./glob");
+
+// Delete log operations whose files can be restored
+const DELETED_OPERATIONS = ["FILE_DELETED"];
+
+/**
+ * Parse CSV text (quoted fields, "" escapes) into rows of fields
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Paths (relative to uploads) of the files a CSV log records as deleted
+ * Returns { paths: Set, outside, backup } - outside counts deleted files that
+ * were not in this uploads directory, backup is the ZIP the run backed them
+ * up to (null if the log records none).
+ */
+async function readDeleteLog(csvPath, uploadsPath) {
+  let text;
+  try {
+    text = await fs.readFile(csvPath, "utf8");
+  } catch (error) {
+    throw new Error(`Could not read ${csvPath}: ${error.message}`);
+  }
+
+  const [header = [], ...rows] = parseCsv(text);
+  const operationColumn = header.indexOf("operation");
+  const pathColumn = header.indexOf("file_path");
+  if (operationColumn === -1 || pathColumn === -1) {
+    throw new Error(`${csvPath} is not a wp-oic CSV log`);
+  }
+
+  const paths = new Set();
+  let outside = 0;
+  let backup = null;
+  for (const row of rows) {
+    if (row[operationColumn] === "BACKUP_CREATED") {
+      backup = row[pathColumn];
+      continue;
+    }
+    if (!DELETED_OPERATIONS.includes(row[operationColumn])) continue;
+    const relativePath = path.relative(uploadsPath, row[pathColumn]);
+    if (relativePath.startsWith("..") || path.isAbsolute(relativePath)) {
+      outside++;
+      continue;
+    }
+    paths.add(toPosix(relativePath));
+  }
+  return { paths, outside, backup };
+}
+
+/**
+ * Check a --month value: YYYY/MM, or sites/<id>/YYYY/MM for a subsite
+ */
+function isValidMonth(month) {
+  return /^(?:sites\/\d+\/)?\d{4}\/\d{2}$/.test(month);
+}
+
+/**
+ * File name without extensions and size suffix, as users see the image
+ * e.g. 2021/04/report-pdf-300x212.jpg → report-pdf (whose baseName is the
+ * document, report)
+ */
+function getImageStem(filePath) {
+  return path.posix
+    .basename(filePath)
+    .replace(/(\.[a-z0-9]+)+$/i, "")
+    .replace(/-\d+x\d+$/, "");
+}
+
+/**
+ * Build the manifest entry filter for a restore (null = restore everything)
+ * filters: { only, month, baseName, paths }
+ */
+function createRestoreFilter({ only, month, baseName, paths }) {
+  const checks = [];
+  if (only) {
+    checks.push((file) => matchesPathOrName(file.path, only));
+  }
+  if (month) {
+    checks.push((file) => file.path.startsWith(`${month}/`));
+  }
+  if (baseName) {
+    checks.push(
+      (file) =>
+        file.baseName === baseName || getImageStem(file.path) === baseName
+    );
+  }
+  if (paths) {
+    checks.push((file) => paths.has(file.path));
+  }
+  if (checks.length === 0) return null;
+  return (file) => checks.every((check) => check(file));
+}
+
+module.exports = {
+  parseCsv,
+  readDeleteLog,
+  isValidMonth,
+  createRestoreFilter,
+};
@@ -0,0 +1,452 @@
+/**
+ * Interactive review of scan results in a terminal (--interactive)
+ *
+ * Candidates are listed by directory like the dry run. Directories can be
+ * expanded, files and base-name groups included or excluded, and the list
+ * filtered by dimensions or size. The review ends with the selection to
+ * delete, a plan file to save it to, or nothing.
+ */
+
+const path = require("path");
+const readline = require("readline");
+
+const HELP =
+  "↑↓ move  →/← expand/collapse  space toggle  g group  a/n all/none  d dims  s size  x delete  p plan  q quit";
+
+const ESC = "\x1b[";
+
+// Lines used by the header and footer around the list
+const CHROME_LINES = 6;
+
+/**
+ * Parse a size such as 512, 100KB or 1.5 MB into bytes
+ */
+function parseBytes(text) {
+  const match = text.trim().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i);
+  if (!match) return null;
+  const units = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+  return Math.round(
+    parseFloat(match[1]) * units[(match[2] || "b").toLowerCase()]
+  );
+}
+
+/**
+ * Build a size filter from ">100KB", "<=2MB", "=512" (null = invalid)
+ */
+function parseSizeFilter(text) {
+  const match = text.trim().match(/^(<=|>=|<|>|=)?\s*(.+)$/);
+  const bytes = match && parseBytes(match[2]);
+  if (bytes === null || bytes === undefined) return null;
+
+  const compare = {
+    "<": (size) => size < bytes,
+    "<=": (size) => size <= bytes,
+    ">": (size) => size > bytes,
+    ">=": (size) => size >= bytes,
+    "=": (size) => size === bytes,
+  }[match[1] || ">="];
+  return (file) => compare(file.size);
+}
+
+/**
+ * Build a dimensions filter from "150x150", "*x150", "300x*" or a label
+ * such as "preview" - comma separated alternatives are allowed
+ */
+function parseDimensionsFilter(text) {
+  const patterns = text
+    .split(",")
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map(
+      (part) =>
+        new RegExp(
+          `^${part
+            .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+            .replace(/\*/g, "\\d+")}$`,
+          "i"
+        )
+    );
+  if (patterns.length === 0) return null;
+  return (file) => patterns.some((pattern) => pattern.test(file.dimensions));
+}
+
+class InteractiveReview {
+  constructor(files, options) {
+    this.formatBytes = options.formatBytes;
+    this.input = options.input || process.stdin;
+    this.output = options.output || process.stdout;
+    this.defaultPlanPath = options.defaultPlanPath || "plan.json";
+
+    // Everything the scan found starts out selected, like the dry run
+    this.selected = new Set(files);
+    this.total = files.length;
+    this.directories = [];
+    const byDirectory = new Map();
+    for (const file of files) {
+      const dir = path.dirname(file.relativePath).split(path.sep).join("/");
+      const name = dir === "." ? "./" : `${dir}/`;
+      if (!byDirectory.has(name)) {
+        const entry = { name, files: [] };
+        byDirectory.set(name, entry);
+        this.directories.push(entry);
+      }
+      byDirectory.get(name).files.push(file);
+    }
+
+    this.expanded = new Set();
+    this.filters = { dimensions: null, size: null };
+    this.cursor = 0;
+    this.scroll = 0;
+    this.prompt = null;
+    this.message = "";
+  }
+
+  /**
+   * Run the review until the user decides
+   * Resolves with { action: "delete" | "plan" | "quit", files, planPath }
+   */
+  run() {
+    return new Promise((resolve) => {
+      this.finish = (result) => {
+        this.input.removeListener("keypress", this.onKeypress);
+        if (this.input.isTTY) this.input.setRawMode(false);
+        this.input.pause();
+        this.output.write(`${ESC}?25h${ESC}2J${ESC}H`);
+        resolve(result);
+      };
+      this.onKeypress = (text, key) => {
+        this.handleKey(text, key || {});
+        if (this.finished) return;
+        this.render();
+      };
+
+      readline.emitKeypressEvents(this.input);
+      if (this.input.isTTY) this.input.setRawMode(true);
+      this.input.on("keypress", this.onKeypress);
+      this.input.resume();
+      this.output.write(`${ESC}?25l`);
+      this.render();
+    });
+  }
+
+  /**
+   * Files of a directory that pass the filters
+   */
+  getVisibleFiles(dir) {
+    return dir.files.filter(
+      (file) =>
+        (!this.filters.dimensions || this.filters.dimensions.fn(file)) &&
+        (!this.filters.size || this.filters.size.fn(file))
+    );
+  }
+
+  /**
+   * Rows currently on screen: directories and the files of expanded ones
+   */
+  getRows() {
+    const rows = [];
+    for (const dir of this.directories) {
+      const files = this.getVisibleFiles(dir);
+      if (files.length === 0) continue;
+      rows.push({ dir, files });
+      if (this.expanded.has(dir.name)) {
+        files.forEach((file) => rows.push({ dir, file }));
+      }
+    }
+    return rows;
+  }
+
+  /**
+   * Selected files in list order, including those the filters hide
+   */
+  getSelection() {
+    const files = [];
+    this.directories.forEach((dir) =>
+      dir.files.forEach((file) => {
+        if (this.selected.has(file)) files.push(file);
+      })
+    );
+    return files;
+  }
+
+  /**
+   * How many of the files the filters hide, for the prompts ("" if none)
+   */
+  getHiddenNote(files) {
+    const visible = new Set(
+      this.directories.flatMap((dir) => this.getVisibleFiles(dir))
+    );
+    const hidden = files.filter((file) => !visible.has(file)).length;
+    return hidden > 0 ? `${hidden} hidden by the filters` : "";
+  }
+
+  /**
+   * Select the files, or deselect them if all are selected already
+   */
+  toggle(files) {
+    const select = !files.every((file) => this.selected.has(file));
+    files.forEach((file) =>
+      select ? this.selected.add(file) : this.selected.delete(file)
+    );
+    return select;
+  }
+
+  mark(files) {
+    const count = files.filter((file) => this.selected.has(file)).length;
+    if (count === 0) return "[ ]";
+    return count === files.length ? "[x]" : "[-]";
+  }
+
+  handleKey(text, key) {
+    if (this.prompt) {
+      this.handlePromptKey(text, key);
+      return;
+    }
+
+    const rows = this.getRows();
+    const row = rows[this.cursor];
+    this.message = "";
+
+    if (key.ctrl && key.name === "c") {
+      this.end({ action: "quit" });
+      return;
+    }
+
+    switch (key.name || text) {
+      case "up":
+      case "k":
+        this.cursor = Math.max(0, this.cursor - 1);
+        break;
+      case "down":
+      case "j":
+        this.cursor = Math.min(rows.length - 1, this.cursor + 1);
+        break;
+      case "pageup":
+        this.cursor = Math.max(0, this.cursor - this.getListHeight());
+        break;
+      case "pagedown":
+        this.cursor = Math.min(
+          rows.length - 1,
+          this.cursor + this.getListHeight()
+        );
+        break;
+      case "right":
+      case "l":
+      case "return":
+        if (row) this.expanded.add(row.dir.name);
+        break;
+      case "left":
+      case "h":
+        if (row) {
+          this.expanded.delete(row.dir.name);
+          this.cursor = this.getRows().findIndex(
+            (other) => other.dir === row.dir && !other.file
+          );
+        }
+        break;
+      case "space":
+        if (row) this.toggle(row.file ? [row.file] : row.files);
+        break;
+      case "g":
+        if (row && row.file) {
+          // Whole base-name group in this directory (original and variants)
+          const group = this.getVisibleFiles(row.dir).filter(
+            (file) =>
+              file.baseName === row.file.baseName &&
+              (file.group || null) === (row.file.group || null)
+          );
+          const selected = this.toggle(group);
+          this.message = `${selected ? "Included" : "Excluded"} ${
+            group.length
+          } files of "${row.file.baseName}"`;
+        } else {
+          this.message = "Move to a file to toggle its base-name group";
+        }
+        break;
+      case "a":
+      case "n":
+        rows
+          .filter((other) => !other.file)
+          .forEach((other) =>
+            other.files.forEach((file) =>
+              text === "a"
+                ? this.selected.add(file)
+                : this.selected.delete(file)
+            )
+          );
+        break;
+      case "d":
+        this.ask(
+          "Dimensions (e.g. 150x150, *x150, preview - empty clears): ",
+          (answer) =>
+            this.setFilter("dimensions", answer, parseDimensionsFilter)
+        );
+        break;
+      case "s":
+        this.ask("Size (e.g. >100KB, <=2MB - empty clears): ", (answer) =>
+          this.setFilter("size", answer, parseSizeFilter)
+        );
+        break;
+      case "x": {
+        const files = this.getSelection();
+        const hidden = this.getHiddenNote(files);
+        if (files.length === 0) {
+          this.message = "Nothing selected";
+          break;
+        }
+        this.ask(
+          `Delete ${files.length} files (${this.formatBytes(
+            files.reduce((total, file) => total + file.size, 0)
+          )}${hidden && `, ${hidden}`}) with backup? [y/N] `,
+          (answer) => {
+            if (/^y(es)?$/i.test(answer.trim())) {
+              this.end({ action: "delete", files });
+            }
+          }
+        );
+        break;
+      }
+      case "p": {
+        const files = this.getSelection();
+        const hidden = this.getHiddenNote(files);
+        this.ask(
+          `Save plan of ${files.length} files${hidden && ` (${hidden})`} to [${
+            this.defaultPlanPath
+          }]: `,
+          (answer) => {
+            this.end({
+              action: "plan",
+              files,
+              planPath: answer.trim() || this.defaultPlanPath,
+            });
+          }
+        );
+        break;
+      }
+      case "q":
+      case "escape":
+        this.end({ action: "quit" });
+        break;
+    }
+
+    const count = this.getRows().length;
+    this.cursor = Math.max(0, Math.min(this.cursor, count - 1));
+  }
+
+  setFilter(name, answer, parse) {
+    if (!answer.trim()) {
+      this.filters[name] = null;
+      return;
+    }
+    const fn = parse(answer);
+    if (!fn) {
+      this.message = `Invalid ${name} filter: ${answer}`;
+      return;
+    }
+    this.filters[name] = { text: answer.trim(), fn };
+    this.cursor = 0;
+  }
+
+  ask(question, onAnswer) {
+    this.prompt = { question, answer: "", onAnswer };
+  }
+
+  handlePromptKey(text, key) {
+    const prompt = this.prompt;
+    if (key.name === "return") {
+      this.prompt = null;
+      prompt.onAnswer(prompt.answer);
+    } else if (key.name === "escape" || (key.ctrl && key.name === "c")) {
+      this.prompt = null;
+    } else if (key.name === "backspace") {
+      prompt.answer = prompt.answer.slice(0, -1);
+    } else if (text && !key.ctrl && !key.meta && text >= " ") {
+      prompt.answer += text;
+    }
+  }
+
+  end(result) {
+    this.finished = true;
+    this.finish({ files: [], planPath: null, ...result });
+  }
+
+  getListHeight() {
+    return Math.max(3, (this.output.rows || 24) - CHROME_LINES);
+  }
+
+  render() {
+    const rows = this.getRows();
+    const height = this.getListHeight();
+    const width = this.output.columns || 80;
+
+    // Keep the cursor on screen
+    if (this.cursor < this.scroll) this.scroll = this.cursor;
+    if (this.cursor >= this.scroll + height) {
+      this.scroll = this.cursor - height + 1;
+    }
+
+    const selection = this.getSelection();
+    const filters = [
+      this.filters.dimensions && `dims ${this.filters.dimensions.text}`,
+      this.filters.size && `size ${this.filters.size.text}`,
+    ].filter(Boolean);
+
+    const lines = [
+      `🔍 INTERACTIVE REVIEW - ${selection.length} of ${
+        this.total
+      } files selected (${this.formatBytes(
+        selection.reduce((total, file) => total + file.size, 0)
+      )})`,
+      filters.length > 0 ? `   Filter: ${filters.join(", ")}` : "",
+      "",
+    ];
+
+    rows.slice(this.scroll, this.scroll + height).forEach((row, offset) => {
+      let line;
+      if (row.file) {
+        const { file } = row;
+        line = `      ${this.mark([file])} ${file.filename} (${
+          file.dimensions
+        }) - ${this.formatBytes(file.size)}${
+          file.category && file.category !== "orphan"
+            ? ` [${file.category}]`
+            : ""
+        }`;
+      } else {
+        const selected = row.files.filter((file) => this.selected.has(file));
+        line = `  ${this.mark(row.files)} ${
+          this.expanded.has(row.dir.name) ? "▾" : "▸"
+        } 📁 ${row.dir.name}  ${selected.length}/${
+          row.files.length
+        } files, ${this.formatBytes(
+          selected.reduce((total, file) => total + file.size, 0)
+        )}`;
+      }
+      line = line.slice(0, width - 1);
+      lines.push(
+        this.scroll + offset === this.cursor ? `${ESC}7m${line}${ESC}0m` : line
+      );
+    });
+    if (rows.length === 0) {
+      lines.push("   No files match the filters");
+    }
+    while (lines.length < height + 3) lines.push("");
+
+    lines.push("");
+    lines.push(
+      this.prompt
+        ? `${this.prompt.question}${this.prompt.answer}`
+        : this.message
+    );
+    lines.push(HELP.slice(0, width - 1));
+
+    this.output.write(`${ESC}H${ESC}2J${lines.join("\n")}`);
+  }
+}
+
+module.exports = {
+  InteractiveReview,
+  parseBytes,
+  parseSizeFilter,
+  parseDimensionsFilter,
+};
@@ -0,0 +1,294 @@
+/**
+ * Variant rule registry
+ *
+ * A rule recognizes one kind of generated file by name. Its pattern uses
+ * named capture groups:
+ *   stem   - the name the parent is looked up by (required)
+ *   ext    - the extension, including the dot (required)
+ *   width, height - dimensions of size variants (optional)
+ *
+ * Parents are found by the WordPress lookup for the rule's type, or from the
+ * rule's own parents: templates such as "{stem}{ext}" or a function
+ * (groups, variant) → names. Custom rules come from the config file or a JS
+ * plugin module and are checked before the built-in ones.
+ */
+
+const fsSync = require("fs");
+const path = require("path");
+
+// How a variant relates to its parent
+//   size    - resized copy: parent chain through -scaled/edited main files
+//   parent  - -scaled/edited main file: looks for the original, kept by default
+//   sibling - WebP/AVIF copy of an original
+//   preview - image made for a document or video (document-pdf.jpg)
+//   copy    - any other derived file, parents come from the rule
+const RULE_TYPES = ["size", "parent", "sibling", "preview", "copy"];
+
+const IMAGE = "jpg|jpeg|png|gif|webp|avif";
+const NEXTGEN = "(jpg|jpeg|png|gif)\\.(webp|avif)";
+
+// Built-in rules, checked in this order
+const BUILTIN_RULES = [
+  // SIZE VARIANTS (with dimensions) - look for original parent
+  // The specific -scaled/edited rules come first, the generic size rules
+  // would match their files too
+  {
+    name: "scaled-edited-size",
+    type: "size",
+    category: "size",
+    pattern: `^(?<stem>.+-scaled-e\\d+)-(?<width>\\d+)x(?<height>\\d+)(?<ext>\\.(${IMAGE}))$`, // Scaled+Edited: image-scaled-e1234567890-300x200.jpg → looks for image.jpg
+  },
+  {
+    name: "scaled-size",
+    type: "size",
+    category: "size",
+    pattern: `^(?<stem>.+-scaled)-(?<width>\\d+)x(?<height>\\d+)(?<ext>\\.(${IMAGE}))$`, // Scaled: image-scaled-300x200.jpg → looks for image.jpg
+  },
+  {
+    name: "edited-size",
+    type: "size",
+    category: "size",
+    pattern: `^(?<stem>.+-e\\d+)-(?<width>\\d+)x(?<height>\\d+)(?<ext>\\.(${IMAGE}))$`, // Edited: image-e1234567890-300x200.jpg
+  },
+  {
+    name: "size",
+    type: "size",
+    category: "size",
+    pattern: `^(?<stem>.+)-(?<width>\\d+)x(?<height>\\d+)(?<ext>\\.(${IMAGE}))$`, // Standard: image-300x200.jpg
+  },
+  {
+    name: "nextgen-scaled-edited-size",
+    type: "size",
+    category: "size",
+    pattern: `^(?<stem>.+-scaled-e\\d+)-(?<width>\\d+)x(?<height>\\d+)(?<ext>\\.${NEXTGEN})$`, // WebP/AVIF scaled+edited: image-scaled-e1234567890-300x200.jpg.webp → looks for image.jpg
+  },
+  {
+    name: "nextgen-scaled-size",
+    type: "size",
+    category: "size",
+    pattern: `^(?<stem>.+-scaled)-(?<width>\\d+)x(?<height>\\d+)(?<ext>\\.${NEXTGEN})$`, // WebP/AVIF scaled: image-scaled-300x200.jpg.webp → looks for image.jpg
+  },
+  {
+    name: "nextgen-edited-size",
+    type: "size",
+    category: "size",
+    pattern: `^(?<stem>.+-e\\d+)-(?<width>\\d+)x(?<height>\\d+)(?<ext>\\.${NEXTGEN})$`, // WebP/AVIF edited: image-e1234567890-300x200.jpg.webp
+  },
+  {
+    name: "nextgen-size",
+    type: "size",
+    category: "size",
+    pattern: `^(?<stem>.+)-(?<width>\\d+)x(?<height>\\d+)(?<ext>\\.${NEXTGEN})$`, // WebP/AVIF copies: image-300x200.jpg.webp
+  },
+
+  // PARENT FILES - files that should have original parents but might be orphaned
+  {
+    name: "scaled",
+    type: "parent",
+    category: "parent",
+    pattern: `^(?<stem>.+-scaled)(?<ext>\\.(${IMAGE}))$`, // Scaled parents: image-scaled.jpg → looks for image.jpg
+  },
+  {
+    name: "nextgen-scaled",
+    type: "parent",
+    category: "parent",
+    pattern: `^(?<stem>.+-scaled)(?<ext>\\.${NEXTGEN})$`, // WebP/AVIF of scaled parents: image-scaled.jpg.webp → looks for image.jpg
+  },
+  {
+    name: "edited",
+    type: "parent",
+    category: "parent",
+    pattern: `^(?<stem>.+-e\\d+)(?<ext>\\.(${IMAGE}))$`, // Edited parents: image-e1234567890.jpg → looks for image.jpg
+  },
+  {
+    name: "nextgen-edited",
+    type: "parent",
+    category: "parent",
+    pattern: `^(?<stem>.+-e\\d+)(?<ext>\\.${NEXTGEN})$`, // WebP/AVIF of edited parents: image-e1234567890.jpg.webp → looks for image.jpg
+  },
+  {
+    name: "scaled-edited",
+    type: "parent",
+    category: "parent",
+    pattern: `^(?<stem>.+-scaled-e\\d+)(?<ext>\\.(${IMAGE}))$`, // Scaled+edited parents: image-scaled-e1234567890.jpg → looks for image.jpg
+  },
+  {
+    name: "nextgen-scaled-edited",
+    type: "parent",
+    category: "parent",
+    pattern: `^(?<stem>.+-scaled-e\\d+)(?<ext>\\.${NEXTGEN})$`, // WebP/AVIF of scaled+edited parents: image-scaled-e1234567890.jpg.webp → looks for image.jpg
+  },
+
+  // PREVIEWS - images WordPress (or a video poster plugin) makes for
+  // non-image attachments: document-pdf.jpg, document-pdf-1.jpg (name taken)
+  {
+    name: "preview",
+    type: "preview",
+    category: "preview",
+    pattern:
+      "^(?<stem>.+-(pdf|mp4)(?:-\\d+)?)(?<ext>\\.(jpg|jpeg|png|webp|avif))$", // Preview: document-pdf.jpg → looks for document.pdf
+  },
+
+  // NEXT-GEN SIBLINGS - WebP/AVIF copies of an original made by
+  // optimizer plugins (WebP Express, EWWW, ShortPixel, ...)
+  {
+    name: "nextgen-sibling",
+    type: "sibling",
+    category: "next-gen",
+    pattern: `^(?<stem>.+)(?<ext>\\.${NEXTGEN})$`, // Double extension: image.jpg.webp → looks for image.jpg
+  },
+  {
+    name: "nextgen-replaced",
+    type: "sibling",
+    category: "next-gen",
+    pattern: "^(?<stem>.+)(?<ext>\\.(webp|avif))$", // Replaced extension: image.webp → looks for image.jpg, image.png, ...
+  },
+];
+
+/**
+ * Validate a rule definition and compile its pattern
+ */
+function compileRule(definition, source) {
+  const name = definition && definition.name;
+  const fail = (message) => {
+    throw new Error(
+      `Invalid rule ${name ? `"${name}" ` : ""}in ${source}: ${message}`
+    );
+  };
+
+  if (typeof name !== "string" || name === "") fail("missing name");
+
+  let pattern;
+  try {
+    pattern =
+      definition.pattern instanceof RegExp
+        ? definition.pattern
+        : new RegExp(definition.pattern, definition.flags ?? "i");
+  } catch (error) {
+    fail(`bad pattern: ${error.message}`);
+  }
+
+  const groups = [...pattern.source.matchAll(/\(\?<(\w+)>/g)].map(
+    (match) => match[1]
+  );
+  ["stem", "ext"].forEach((group) => {
+    if (!groups.includes(group)) fail(`pattern needs a (?<${group}>...) group`);
+  });
+
+  const { parents } = definition;
+  if (parents !== undefined && parents !== null) {
+    if (Array.isArray(parents)) {
+      parents.forEach((template) => {
+        for (const match of String(template).matchAll(/\{(\w+)\}/g)) {
+          if (!groups.includes(match[1]) && match[1] !== "base") {
+            fail(`unknown placeholder {${match[1]}} in parents`);
+          }
+        }
+      });
+    } else if (typeof parents !== "function") {
+      fail("parents must be a list of name templates or a function");
+    }
+  }
+
+  const type =
+    definition.type ||
+    (groups.includes("width") && groups.includes("height") ? "size" : "copy");
+  if (!RULE_TYPES.includes(type)) {
+    fail(`unknown type "${type}" (expected ${RULE_TYPES.join(", ")})`);
+  }
+  if (type === "copy" && !parents) {
+    fail('rules of type "copy" need parents');
+  }
+
+  return {
+    name,
+    type,
+    category: definition.category || name,
+    pattern,
+    parents: parents || null,
+    source,
+  };
+}
+
+/**
+ * Read rule definitions from a JSON file or a JS plugin module
+ * A module exports a list of rules or { rules: [...] }
+ */
+function readRulesFile(filePath) {
+  let exported;
+  try {
+    exported = filePath.endsWith(".js")
+      ? require(filePath)
+      : JSON.parse(fsSync.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not load rules from ${filePath}: ${error.message}`);
+  }
+
+  const rules = Array.isArray(exported) ? exported : exported && exported.rules;
+  if (!Array.isArray(rules)) {
+    throw new Error(`No rules exported by ${filePath}`);
+  }
+  return rules;
+}
+
+/**
+ * Build the rule set: custom rules first, then the built-in ones
+ * A custom rule with the name of a built-in rule replaces it in place.
+ * Custom rules are a list of definitions or the path of a rules file.
+ */
+function createRuleSet(custom = null) {
+  const source = typeof custom === "string" ? path.basename(custom) : "config";
+  const definitions =
+    typeof custom === "string" ? readRulesFile(custom) : custom || [];
+
+  const customRules = definitions.map((definition) =>
+    compileRule(definition, source)
+  );
+  const builtinRules = BUILTIN_RULES.map((definition) => {
+    const override = customRules.find((rule) => rule.name === definition.name);
+    return override || compileRule(definition, "built-in");
+  });
+
+  return [
+    ...customRules.filter((rule) => !builtinRules.includes(rule)),
+    ...builtinRules,
+  ];
+}
+
+/**
+ * Find the first rule matching a file name
+ * Returns { rule, groups } or null
+ */
+function matchRule(rules, filename) {
+  for (const rule of rules) {
+    const match = filename.match(rule.pattern);
+    if (match) {
+      return { rule, groups: { ...match.groups } };
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the parent names a custom rule declares for a match
+ * Templates are filled from the named groups and {base} (the original's name)
+ */
+function expandParents(rule, groups, variant) {
+  if (typeof rule.parents === "function") {
+    return [].concat(rule.parents(groups, variant) || []).map(String);
+  }
+
+  const values = { ...groups, base: variant.baseName };
+  return rule.parents.map((template) =>
+    template.replace(/\{(\w+)\}/g, (all, key) => values[key] ?? "")
+  );
+}
+
+module.exports = {
+  RULE_TYPES,
+  BUILTIN_RULES,
+  compileRule,
+  createRuleSet,
+  matchRule,
+  expandParents,
+};
@@ -0,0 +1,296 @@
+/**
+ * Streaming reader for INSERT rows in MySQL dumps (mysqldump / wp db export)
+ *
+ * Only the tables asked for are parsed - every other statement is skipped
+ * while tracking quotes, so multi-GB dumps are read with constant memory.
+ */
+
+const fsSync = require("fs");
+
+// Default column order of the WordPress tables we read (used when the
+// INSERT statement has no column list)
+const TABLE_COLUMNS = {
+  posts: [
+    "ID",
+    "post_author",
+    "post_date",
+    "post_date_gmt",
+    "post_content",
+    "post_title",
+    "post_excerpt",
+    "post_status",
+    "comment_status",
+    "ping_status",
+    "post_password",
+    "post_name",
+    "to_ping",
+    "pinged",
+    "post_modified",
+    "post_modified_gmt",
+    "post_content_filtered",
+    "post_parent",
+    "guid",
+    "menu_order",
+    "post_type",
+    "post_mime_type",
+    "comment_count",
+  ],
+  postmeta: ["meta_id", "post_id", "meta_key", "meta_value"],
+  options: ["option_id", "option_name", "option_value", "autoload"],
+  termmeta: ["meta_id", "term_id", "meta_key", "meta_value"],
+};
+
+const INSERT_PATTERN =
+  /^\s*(?:INSERT|REPLACE)\s+(?:(?:LOW_PRIORITY|DELAYED|HIGH_PRIORITY|IGNORE)\s+)*INTO\s+`?([\w$]+)`?\s*(?:\(([^)]*)\))?\s*VALUES\s*$/i;
+
+// Statements that never reach VALUES are skipped after this many characters
+const MAX_HEAD_LENGTH = 65536;
+
+const ESCAPES = {
+  0: "\0",
+  b: "\b",
+  n: "\n",
+  r: "\r",
+  t: "\t",
+  Z: "\x1a",
+};
+
+/**
+ * Split a WordPress table name into prefix, blog id and base table name
+ * e.g. wp_posts → { prefix: "wp_", blogId: 1, table: "posts" }
+ *      wp_3_postmeta → { prefix: "wp_3_", blogId: 3, table: "postmeta" }
+ *
+ * Without a known table prefix, prefixes are assumed to be one word plus an
+ * optional blog id, so plugin tables such as wp_yoast_indexable_posts are ignored.
+ */
+function parseTableName(name, tables, tablePrefix = null) {
+  const table = tables.find((base) => name.endsWith(`_${base}`));
+  if (!table) return null;
+
+  const prefix = name.slice(0, -table.length);
+  let blogPart;
+  if (tablePrefix) {
+    if (!prefix.startsWith(tablePrefix)) return null;
+    blogPart = prefix.slice(tablePrefix.length);
+    if (blogPart !== "" && !/^\d+_$/.test(blogPart)) return null;
+  } else {
+    const match = prefix.match(/^[A-Za-z0-9]+_(\d+_)?$/);
+    if (!match) return null;
+    blogPart = match[1] || "";
+  }
+
+  return {
+    prefix,
+    blogId: blogPart ? parseInt(blogPart, 10) : 1,
+    table,
+  };
+}
+
+/**
+ * Incremental parser - feed it text chunks with write()
+ */
+class DumpParser {
+  constructor(tables, onRow, tablePrefix = null) {
+    this.tables = tables;
+    this.tablePrefix = tablePrefix;
+    this.onRow = onRow;
+    this.reset();
+  }
+
+  reset() {
+    this.phase = "head"; // head | comment | skip | values
+    this.head = "";
+    this.quote = null; // Active quote character while in head/skip
+    this.escaped = false;
+    this.target = null;
+    this.columns = null;
+    this.row = null;
+    this.field = "";
+    this.inString = false;
+    this.pendingQuote = false;
+    this.isQuoted = false;
+  }
+
+  write(chunk) {
+    for (let i = 0; i < chunk.length; i++) {
+      const char = chunk[i];
+      switch (this.phase) {
+        case "head":
+          this.readHead(char);
+          break;
+        case "comment":
+          if (char === "\n") this.phase = "head";
+          break;
+        case "skip":
+          if (this.trackQuotes(char)) this.reset();
+          break;
+        case "values":
+          this.readValues(char);
+          break;
+      }
+    }
+  }
+
+  /**
+   * Track quoting in statements we do not parse
+   * Returns true when the statement ends
+   */
+  trackQuotes(char) {
+    if (this.quote) {
+      if (this.escaped) {
+        this.escaped = false;
+      } else if (char === "\\" && this.quote !== "`") {
+        this.escaped = true;
+      } else if (char === this.quote) {
+        this.quote = null;
+      }
+      return false;
+    }
+
+    if (char === "'" || char === '"' || char === "`") {
+      this.quote = char;
+      return false;
+    }
+    return char === ";";
+  }
+
+  readHead(char) {
+    // Comment lines (-- or #) between statements
+    const trimmed = this.head.trim();
+    if ((char === "#" && trimmed === "") || (char === "-" && trimmed === "-")) {
+      this.phase = "comment";
+      this.head = "";
+      return;
+    }
+
+    if (this.trackQuotes(char)) {
+      this.reset();
+      return;
+    }
+    this.head += char;
+
+    // Only INSERT/REPLACE statements can hold rows
+    if (
+      trimmed.length === 6 &&
+      !/^(INSERT|REPLAC)$/i.test(trimmed) &&
+      !trimmed.startsWith("/*")
+    ) {
+      this.phase = "skip";
+      this.head = "";
+      return;
+    }
+
+    if (!this.quote && (char === "S" || char === "s")) {
+      const match = this.head.match(INSERT_PATTERN);
+      if (match) {
+        const target = parseTableName(match[1], this.tables, this.tablePrefix);
+        if (target) {
+          this.target = target;
+          this.columns = match[2]
+            ? match[2]
+                .split(",")
+                .map((column) => column.trim().replace(/`/g, ""))
+            : TABLE_COLUMNS[target.table];
+          this.phase = "values";
+        } else {
+          this.phase = "skip";
+        }
+        this.head = "";
+        return;
+      }
+    }
+
+    if (this.head.length > MAX_HEAD_LENGTH) {
+      this.phase = "skip";
+      this.head = "";
+    }
+  }
+
+  readValues(char) {
+    // Between tuples
+    if (this.row === null) {
+      if (char === "(") {
+        this.row = [];
+        this.field = "";
+        this.isQuoted = false;
+      } else if (char === ";") {
+        this.reset();
+      }
+      return;
+    }
+
+    if (this.inString) {
+      if (this.escaped) {
+        this.field += ESCAPES[char] !== undefined ? ESCAPES[char] : char;
+        this.escaped = false;
+        return;
+      }
+      if (this.pendingQuote) {
+        this.pendingQuote = false;
+        if (char === "'") {
+          this.field += "'"; // '' inside a string
+          return;
+        }
+        this.inString = false;
+        // Fall through to handle the character after the closing quote
+      } else if (char === "\\") {
+        this.escaped = true;
+        return;
+      } else if (char === "'") {
+        this.pendingQuote = true;
+        return;
+      } else {
+        this.field += char;
+        return;
+      }
+    }
+
+    if (char === "'") {
+      this.inString = true;
+      this.isQuoted = true;
+      this.field = ""; // Drop charset introducers such as _binary
+    } else if (char === "," || char === ")") {
+      this.row.push(this.finishField());
+      if (char === ")") {
+        this.emitRow();
+        this.row = null;
+      }
+    } else if (!/\s/.test(char)) {
+      this.field += char;
+    }
+  }
+
+  finishField() {
+    const value = this.isQuoted || this.field !== "NULL" ? this.field : null;
+    this.field = "";
+    this.isQuoted = false;
+    return value;
+  }
+
+  emitRow() {
+    const record = {};
+    this.columns.forEach((column, index) => {
+      record[column] = this.row[index];
+    });
+    this.onRow(this.target, record);
+  }
+}
+
+/**
+ * Read every row of the given WordPress tables (base names such as
+ * "posts" or "postmeta", any table prefix) from a dump file
+ * onRow({ prefix, blogId, table }, record) is called for each row
+ */
+async function readDumpRows(filePath, tables, onRow, tablePrefix = null) {
+  const parser = new DumpParser(tables, onRow, tablePrefix);
+  const stream = fsSync.createReadStream(filePath, {
+    encoding: "utf8",
+    highWaterMark: 1024 * 1024,
+  });
+
+  for await (const chunk of stream) {
+    parser.write(chunk);
+  }
+}
+
+module.exports = { TABLE_COLUMNS, parseTableName, readDumpRows };
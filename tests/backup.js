@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+
+/**
+ * Checks for the backup ZIP checks (lib/backup.js)
+ */
+
+const assert = require("assert");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const archiver = require("archiver");
+const {
+  MANIFEST_ENTRY,
+  verifyBackup,
+  getManifestMonths,
+  describeBackup,
+} = require("../lib/backup");
+const { check } = require("./helpers");
+
+const sha256 = (text) => crypto.createHash("sha256").update(text).digest("hex");
+
+/**
+ * Write a ZIP with the given entries (name → contents)
+ */
+function createZip(zipPath, entries) {
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(zipPath);
+    const archive = archiver("zip");
+    output.on("close", resolve);
+    archive.on("error", reject);
+    archive.pipe(output);
+    Object.entries(entries).forEach(([name, contents]) =>
+      archive.append(contents, { name })
+    );
+    archive.finalize();
+  });
+}
+
+/**
+ * Manifest for files (path → contents) as the backup writes it
+ */
+function createManifest(files) {
+  return JSON.stringify({
+    files: Object.entries(files).map(([filePath, contents]) => ({
+      path: filePath,
+      size: Buffer.byteLength(contents),
+      sha256: sha256(contents),
+    })),
+  });
+}
+
+/**
+ * Run fn with a temporary directory
+ */
+async function inTempDir(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "wp-oic-test-"));
+  try {
+    await fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true });
+  }
+}
+
+const FILES = {
+  "2021/04/photo-300x200.jpg": "small image",
+  "sites/2/2021/05/hero-150x150.jpg": "tiny",
+};
+
+async function main() {
+  console.log("Backup checks");
+  console.log("=============");
+
+  await check("an intact backup verifies", async () => {
+    await inTempDir(async (dir) => {
+      const zipPath = path.join(dir, "backup.zip");
+      await createZip(zipPath, {
+        ...FILES,
+        [MANIFEST_ENTRY]: createManifest(FILES),
+      });
+      const result = await verifyBackup(zipPath, {
+        expectedPaths: Object.keys(FILES),
+      });
+      assert.strictEqual(result.checked, 2);
+      assert.strictEqual(result.unhashed, 0);
+      assert.deepStrictEqual(result.problems, []);
+    });
+  });
+
+  await check("changed, truncated and missing files are reported", async () => {
+    await inTempDir(async (dir) => {
+      const zipPath = path.join(dir, "backup.zip");
+      await createZip(zipPath, {
+        "2021/04/photo-300x200.jpg": "SMALL IMAGE",
+        "sites/2/2021/05/hero-150x150.jpg": "tin",
+        [MANIFEST_ENTRY]: createManifest({
+          ...FILES,
+          "2021/04/gone.jpg": "lost",
+        }),
+      });
+      const result = await verifyBackup(zipPath, {
+        expectedPaths: [...Object.keys(FILES), "2021/04/unlisted.jpg"],
+      });
+      assert.deepStrictEqual(result.problems, [
+        { path: "2021/04/unlisted.jpg", problem: "not in the manifest" },
+        { path: "2021/04/photo-300x200.jpg", problem: "SHA-256 mismatch" },
+        {
+          path: "sites/2/2021/05/hero-150x150.jpg",
+          problem: "size 3 bytes, manifest says 4",
+        },
+        { path: "2021/04/gone.jpg", problem: "missing from the ZIP" },
+      ]);
+    });
+  });
+
+  await check("files of backups without checksums are counted", async () => {
+    await inTempDir(async (dir) => {
+      const zipPath = path.join(dir, "backup.zip");
+      await createZip(zipPath, {
+        "2021/04/photo-300x200.jpg": "small image",
+        [MANIFEST_ENTRY]: JSON.stringify({
+          files: [{ path: "2021/04/photo-300x200.jpg", size: 11 }],
+        }),
+      });
+      const result = await verifyBackup(zipPath);
+      assert.strictEqual(result.unhashed, 1);
+      assert.deepStrictEqual(result.problems, []);
+    });
+  });
+
+  await check("archives without a manifest are refused", async () => {
+    await inTempDir(async (dir) => {
+      const zipPath = path.join(dir, "backup.zip");
+      await createZip(zipPath, FILES);
+      await assert.rejects(verifyBackup(zipPath), /has no manifest.json/);
+
+      fs.writeFileSync(zipPath, "not a zip");
+      await assert.rejects(verifyBackup(zipPath), /Could not open/);
+    });
+  });
+
+  await check("unreadable backups are still described", async () => {
+    await inTempDir(async (dir) => {
+      const zipPath = path.join(dir, "wp-oic-2024-01-15T10-30-00.zip");
+      fs.writeFileSync(zipPath, "not a zip");
+      const info = await describeBackup(zipPath);
+      assert.match(info.error, /Could not open/);
+      assert.strictEqual(info.created, "2024-01-15T10:30:00.000Z");
+    });
+  });
+
+  await check("months a backup covers", () => {
+    assert.deepStrictEqual(
+      getManifestMonths({
+        files: [
+          { path: "2021/04/a.jpg" },
+          { path: "sites/2/2021/05/b.jpg" },
+          { path: "c.jpg" },
+          { path: "2021/04/d.jpg" },
+        ],
+      }),
+      ["2021/04", "other", "sites/2/2021/05"]
+    );
+  });
+}
+
+main();
@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+
+/**
+ * Checks for the configuration loading (lib/config.js)
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadConfig, getArgValue, parseAge } = require("../lib/config");
+const { check } = require("./helpers");
+
+/**
+ * Run fn in a temporary project directory, with a config file if given
+ */
+function inProject(configName, configText, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "wp-oic-test-"));
+  try {
+    const project = path.join(dir, "site");
+    const tool = path.join(project, "tools", "cleaner");
+    fs.mkdirSync(tool, { recursive: true });
+    if (configName) {
+      fs.writeFileSync(path.join(project, configName), configText);
+    }
+    fn({ project, tool });
+  } finally {
+    fs.rmSync(dir, { recursive: true });
+  }
+}
+
+console.log("Configuration");
+console.log("=============");
+
+check("defaults resolve against the working directory", () => {
+  inProject(null, "", ({ tool }) => {
+    const config = loadConfig([], tool);
+    assert.strictEqual(config.configFile, null);
+    assert.strictEqual(
+      config.uploads,
+      path.resolve(tool, "../wp-content/uploads")
+    );
+    assert.strictEqual(config.logs, path.join(tool, "logs"));
+    assert.strictEqual(config.backupDir, path.join(tool, "backups"));
+    assert.strictEqual(config.layout, "auto");
+    assert.strictEqual(config.concurrency, 4);
+  });
+});
+
+check("a config file is found upward and its paths are relative to it", () => {
+  inProject(
+    ".wp-oicrc.json",
+    JSON.stringify({ uploads: "wp-content/uploads", concurrency: 2 }),
+    ({ project, tool }) => {
+      const config = loadConfig([], tool);
+      assert.strictEqual(
+        config.configFile,
+        path.join(project, ".wp-oicrc.json")
+      );
+      assert.strictEqual(
+        config.uploads,
+        path.join(project, "wp-content", "uploads")
+      );
+      assert.strictEqual(config.concurrency, 2);
+    }
+  );
+});
+
+check("JS config files are loaded too", () => {
+  inProject(
+    "wp-oic.config.js",
+    'module.exports = { logs: "var/logs", exclude: "cache, tmp" };',
+    ({ project, tool }) => {
+      const config = loadConfig([], tool);
+      assert.strictEqual(config.logs, path.join(project, "var", "logs"));
+      assert.deepStrictEqual(config.exclude, ["cache", "tmp"]);
+    }
+  );
+});
+
+check("flags override the config file and resolve against cwd", () => {
+  inProject(
+    ".wp-oicrc.json",
+    JSON.stringify({ uploads: "wp-content/uploads", concurrency: 2 }),
+    ({ tool }) => {
+      const config = loadConfig(
+        ["--uploads", "uploads", "--concurrency", "8", "--multisite"],
+        tool
+      );
+      assert.strictEqual(config.uploads, path.join(tool, "uploads"));
+      assert.strictEqual(config.concurrency, 8);
+      assert.strictEqual(config.multisite, true);
+    }
+  );
+});
+
+check("quarantine defaults to outside the WordPress directory", () => {
+  inProject(null, "", ({ tool }) => {
+    const config = loadConfig(
+      ["--uploads", "/srv/www/wp-content/uploads"],
+      tool
+    );
+    assert.strictEqual(
+      config.quarantineDir,
+      path.resolve("/srv/wp-oic-quarantine")
+    );
+  });
+});
+
+check("invalid values are refused", () => {
+  inProject(null, "", ({ tool }) => {
+    assert.throws(
+      () => loadConfig(["--concurrency", "0"], tool),
+      /concurrency/
+    );
+    assert.throws(() => loadConfig(["--port", "70000"], tool), /port/);
+    assert.throws(() => loadConfig(["--site", "main"], tool), /site id/);
+  });
+  inProject(".wp-oicrc.json", "{ nope", ({ tool }) => {
+    assert.throws(() => loadConfig([], tool), /Could not load config file/);
+  });
+});
+
+check("--site selects multisite mode", () => {
+  inProject(null, "", ({ tool }) => {
+    const config = loadConfig(["--site", "3"], tool);
+    assert.strictEqual(config.site, 3);
+    assert.strictEqual(config.multisite, true);
+  });
+});
+
+check("flag values and ages", () => {
+  assert.strictEqual(getArgValue(["--logs", "x"], "--logs"), "x");
+  assert.strictEqual(getArgValue(["--logs", "--dry-run"], "--logs"), null);
+  assert.strictEqual(parseAge("30d"), 30 * 86400000);
+  assert.strictEqual(parseAge("2W"), 2 * 604800000);
+  assert.strictEqual(parseAge("soon"), null);
+});
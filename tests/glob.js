@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+
+/**
+ * Checks for the uploads glob matcher (lib/glob.js)
+ */
+
+const assert = require("assert");
+const {
+  matchesGlob,
+  matchesPathOrName,
+  matchesGlobPrefix,
+} = require("../lib/glob");
+const { check } = require("./helpers");
+
+console.log("Glob matching");
+console.log("=============");
+
+check("* and ? stay inside one segment", () => {
+  assert.strictEqual(matchesGlob("2021/04", "2021/*"), true);
+  assert.strictEqual(matchesGlob("2021/04/x", "2021/*"), false);
+  assert.strictEqual(matchesGlob("2021/04", "20??/0?"), true);
+  assert.strictEqual(matchesGlob("2021/4", "20??/0?"), false);
+});
+
+check("** matches any number of segments", () => {
+  assert.strictEqual(matchesGlob("2021/04/a.jpg", "**/*.jpg"), true);
+  assert.strictEqual(matchesGlob("a.jpg", "**/*.jpg"), true);
+  assert.strictEqual(matchesGlob("sites/2/2021/04", "sites/**/04"), true);
+  assert.strictEqual(matchesGlob("2021/04/a.png", "**/*.jpg"), false);
+});
+
+check("dir/** also matches the directory itself", () => {
+  assert.strictEqual(matchesGlob("cache", "cache/**"), true);
+  assert.strictEqual(matchesGlob("cache/a/b.jpg", "cache/**"), true);
+  assert.strictEqual(matchesGlob("cache-old", "cache/**"), false);
+});
+
+check("{a,b} alternatives", () => {
+  assert.strictEqual(matchesGlob("2021/04/a.png", "2021/*/a.{jpg,png}"), true);
+  assert.strictEqual(matchesGlob("2021/04/a.gif", "2021/*/a.{jpg,png}"), false);
+  assert.strictEqual(matchesGlob("wpforms", "{wpforms,elementor}"), true);
+});
+
+check("regex characters are literal", () => {
+  assert.strictEqual(matchesGlob("a+b.jpg", "a+b.jpg"), true);
+  assert.strictEqual(matchesGlob("aab.jpg", "a+b.jpg"), false);
+  assert.strictEqual(matchesGlob("a(1).jpg", "a(1).*"), true);
+});
+
+check("./ prefixes are ignored", () => {
+  assert.strictEqual(matchesGlob("2021/04/a.jpg", "./2021/04/*.jpg"), true);
+});
+
+check("patterns without a slash also match file names", () => {
+  assert.strictEqual(
+    matchesPathOrName("2021/04/hero-1.jpg", "hero-*.jpg"),
+    true
+  );
+  assert.strictEqual(
+    matchesPathOrName("2021/04/hero-1.jpg", "04/hero-*.jpg"),
+    false
+  );
+  assert.strictEqual(
+    matchesPathOrName("2021/04/hero-1.jpg", "2021/*/hero-*"),
+    true
+  );
+});
+
+check("directories that could hold matches", () => {
+  assert.strictEqual(matchesGlobPrefix("2021", "20??/*"), true);
+  assert.strictEqual(matchesGlobPrefix("cache", "20??/*"), false);
+  assert.strictEqual(matchesGlobPrefix("sites/2", "sites/*/20??/*"), true);
+  assert.strictEqual(matchesGlobPrefix("a/b/c", "a/**"), true);
+});
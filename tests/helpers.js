@@ -0,0 +1,28 @@
+/**
+ * Shared helpers for the unit test scripts
+ */
+
+let failures = 0;
+
+/**
+ * Run one named check (sync or async) and print the result
+ */
+async function check(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}\n   ${error.message}`);
+  }
+}
+
+// Report failed checks once the script is done
+process.on("exit", () => {
+  if (failures > 0) {
+    console.log(`\n${failures} checks failed`);
+    process.exitCode = 1;
+  }
+});
+
+module.exports = { check };
@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+/**
+ * Checks for the PHP unserialize() port (lib/php-unserialize.js)
+ */
+
+const assert = require("assert");
+const { unserialize, isSerialized } = require("../lib/php-unserialize");
+const { check } = require("./helpers");
+
+console.log("PHP unserialize");
+console.log("===============");
+
+check("attachment metadata", () => {
+  const metadata = unserialize(
+    'a:4:{s:5:"width";i:1024;s:6:"height";i:683;s:4:"file";s:17:"2021/04/photo.jpg";s:5:"sizes";a:1:{s:9:"thumbnail";a:2:{s:4:"file";s:17:"photo-150x150.jpg";s:5:"width";i:150;}}}'
+  );
+  assert.deepStrictEqual(metadata, {
+    width: 1024,
+    height: 683,
+    file: "2021/04/photo.jpg",
+    sizes: { thumbnail: { file: "photo-150x150.jpg", width: 150 } },
+  });
+});
+
+check("scalars and lists", () => {
+  assert.deepStrictEqual(
+    unserialize('a:4:{i:0;s:1:"a";i:1;b:1;i:2;N;i:3;d:0.5;}'),
+    ["a", true, null, 0.5]
+  );
+  assert.deepStrictEqual(unserialize('a:2:{i:1;s:1:"a";i:2;s:1:"b";}'), {
+    1: "a",
+    2: "b",
+  });
+});
+
+check("string lengths are counted in bytes", () => {
+  assert.deepStrictEqual(unserialize('a:1:{s:4:"file";s:10:"héllo.jpg";}'), {
+    file: "héllo.jpg",
+  });
+  // Only the byte length gets past the quote inside the value
+  assert.deepStrictEqual(unserialize('a:1:{i:0;s:5:"é";x";}'), ['é";x']);
+});
+
+check("wrong string lengths fall back to the closing quote", () => {
+  // Lengths after a search-replace that did not update them
+  assert.deepStrictEqual(
+    unserialize(
+      'a:2:{s:4:"file";s:12:"2021/04/photo-new.jpg";s:5:"sizes";a:1:{s:5:"thumb";a:1:{s:4:"file";s:40:"p.jpg";}}}'
+    ),
+    {
+      file: "2021/04/photo-new.jpg",
+      sizes: { thumb: { file: "p.jpg" } },
+    }
+  );
+  assert.strictEqual(unserialize('s:3:"héllo";'), "héllo");
+});
+
+check("objects become plain objects", () => {
+  assert.deepStrictEqual(
+    unserialize('O:8:"stdClass":1:{s:4:"file";s:5:"a.jpg";}'),
+    { file: "a.jpg" }
+  );
+});
+
+check("invalid data throws", () => {
+  assert.throws(
+    () => unserialize('a:1:{s:4:"file"'),
+    /Invalid serialized data/
+  );
+  assert.throws(() => unserialize('s:5:"abc'), /unterminated string/);
+  assert.throws(() => unserialize("x:1;"), /unsupported type/);
+});
+
+check("isSerialized", () => {
+  assert.strictEqual(isSerialized("a:0:{}"), true);
+  assert.strictEqual(isSerialized("N;"), true);
+  assert.strictEqual(isSerialized("2021/04/photo.jpg"), false);
+  assert.strictEqual(isSerialized(null), false);
+});
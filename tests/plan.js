@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+/**
+ * Checks for review-and-execute plan files (lib/plan.js)
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createPlan, readPlan, checkPlanEntry } = require("../lib/plan");
+const { check } = require("./helpers");
+
+/**
+ * Run fn with a temporary uploads directory holding one planned file
+ */
+async function withPlan(key, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "wp-oic-test-"));
+  const uploads = path.join(dir, "uploads");
+  const filePath = path.join(uploads, "2021", "04", "photo-300x200.jpg");
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, "image");
+
+  try {
+    const plan = await createPlan(
+      [
+        {
+          path: filePath,
+          relativePath: path.relative(uploads, filePath),
+          baseName: "photo",
+        },
+      ],
+      { uploadsPath: uploads, options: { dbDump: null }, key }
+    );
+    const planPath = path.join(dir, "plan.json");
+    fs.writeFileSync(planPath, JSON.stringify(plan, null, 2));
+    await fn({ plan, planPath, uploads, filePath });
+  } finally {
+    fs.rmSync(dir, { recursive: true });
+  }
+}
+
+/**
+ * Rewrite a plan file through edit(plan)
+ */
+function editPlan(planPath, edit) {
+  const plan = JSON.parse(fs.readFileSync(planPath, "utf8"));
+  edit(plan);
+  fs.writeFileSync(planPath, JSON.stringify(plan));
+}
+
+async function main() {
+  console.log("Plan files");
+  console.log("==========");
+
+  await check("plans record each file and read back", async () => {
+    await withPlan(null, async ({ plan, planPath }) => {
+      assert.strictEqual(plan.totalFiles, 1);
+      assert.strictEqual(plan.totalSize, 5);
+      assert.strictEqual(plan.files[0].path, "2021/04/photo-300x200.jpg");
+      assert.strictEqual(plan.files[0].baseName, "photo");
+      assert.match(plan.files[0].sha256, /^[0-9a-f]{64}$/);
+      assert.strictEqual(plan.integrity.algorithm, "sha256");
+      assert.deepStrictEqual(await readPlan(planPath), plan);
+    });
+  });
+
+  await check("edited plans are refused", async () => {
+    await withPlan(null, async ({ planPath }) => {
+      editPlan(planPath, (plan) => {
+        plan.files[0].path = "2021/04/photo.jpg";
+      });
+      await assert.rejects(readPlan(planPath), /integrity check failed/);
+    });
+  });
+
+  await check("signed plans need the key they were signed with", async () => {
+    await withPlan("secret", async ({ plan, planPath }) => {
+      assert.strictEqual(plan.integrity.algorithm, "hmac-sha256");
+      assert.deepStrictEqual(await readPlan(planPath, "secret"), plan);
+      await assert.rejects(readPlan(planPath), /is signed/);
+      await assert.rejects(
+        readPlan(planPath, "other"),
+        /signed with another key/
+      );
+    });
+  });
+
+  await check("with a key, unsigned plans are refused", async () => {
+    await withPlan(null, async ({ planPath }) => {
+      await assert.rejects(readPlan(planPath, "secret"), /is not signed/);
+    });
+  });
+
+  await check("files that changed since the plan are reported", async () => {
+    await withPlan(null, async ({ plan, uploads, filePath }) => {
+      const [entry] = plan.files;
+      assert.strictEqual(await checkPlanEntry(entry, uploads), null);
+
+      const { mtime } = fs.statSync(filePath);
+      fs.writeFileSync(filePath, "IMAGE");
+      fs.utimesSync(filePath, mtime, mtime);
+      assert.match(await checkPlanEntry(entry, uploads), /SHA-256 mismatch/);
+
+      fs.writeFileSync(filePath, "bigger image");
+      assert.match(await checkPlanEntry(entry, uploads), /size changed/);
+
+      fs.unlinkSync(filePath);
+      assert.strictEqual(
+        await checkPlanEntry(entry, uploads),
+        "file no longer exists"
+      );
+    });
+  });
+}
+
+main();
@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+
+/**
+ * Checks for the quarantine tree helpers (lib/quarantine.js)
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  INDEX_FILE,
+  readIndex,
+  writeIndex,
+  moveFile,
+  removeEmptyDirs,
+  getQuarantinePath,
+} = require("../lib/quarantine");
+const { check } = require("./helpers");
+
+/**
+ * Run fn with a temporary directory
+ */
+async function inTempDir(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "wp-oic-test-"));
+  try {
+    await fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true });
+  }
+}
+
+async function main() {
+  console.log("Quarantine");
+  console.log("==========");
+
+  await check("the index starts empty and reads back", async () => {
+    await inTempDir(async (dir) => {
+      const quarantine = path.join(dir, "quarantine");
+      const index = await readIndex(quarantine, "/site/uploads");
+      assert.deepStrictEqual(index.files, []);
+
+      index.files.push({
+        path: "2021/04/photo-300x200.jpg",
+        batch: "wp-oic-2024-01-15T10-30-00",
+      });
+      await writeIndex(quarantine, index);
+      assert.deepStrictEqual(
+        await readIndex(quarantine, "/site/uploads"),
+        index
+      );
+      assert.deepStrictEqual(fs.readdirSync(quarantine), [INDEX_FILE]);
+    });
+  });
+
+  await check("an index of other uploads is refused", async () => {
+    await inTempDir(async (dir) => {
+      await writeIndex(dir, { version: 1, uploads: "/a/uploads", files: [] });
+      await assert.rejects(
+        readIndex(dir, "/b/uploads"),
+        /belongs to \/a\/uploads/
+      );
+      fs.writeFileSync(path.join(dir, INDEX_FILE), "{}");
+      await assert.rejects(
+        readIndex(dir, "/a/uploads"),
+        /is not a quarantine index/
+      );
+    });
+  });
+
+  await check("files move into their batch with their path", async () => {
+    await inTempDir(async (dir) => {
+      const source = path.join(dir, "uploads", "2021", "04", "photo.jpg");
+      fs.mkdirSync(path.dirname(source), { recursive: true });
+      fs.writeFileSync(source, "image");
+
+      const target = getQuarantinePath(path.join(dir, "quarantine"), {
+        path: "2021/04/photo.jpg",
+        batch: "wp-oic-2024-01-15T10-30-00",
+      });
+      assert.strictEqual(
+        target,
+        path.join(
+          dir,
+          "quarantine",
+          "wp-oic-2024-01-15T10-30-00",
+          "2021",
+          "04",
+          "photo.jpg"
+        )
+      );
+
+      await moveFile(source, target);
+      assert.strictEqual(fs.existsSync(source), false);
+      assert.strictEqual(fs.readFileSync(target, "utf8"), "image");
+    });
+  });
+
+  await check("existing files are never overwritten", async () => {
+    await inTempDir(async (dir) => {
+      const source = path.join(dir, "a.jpg");
+      const target = path.join(dir, "b.jpg");
+      fs.writeFileSync(source, "new");
+      fs.writeFileSync(target, "old");
+      await assert.rejects(moveFile(source, target), /already exists/);
+      assert.strictEqual(fs.readFileSync(target, "utf8"), "old");
+      assert.strictEqual(fs.existsSync(source), true);
+    });
+  });
+
+  await check("empty directories are removed up to the root", async () => {
+    await inTempDir(async (dir) => {
+      const root = path.join(dir, "uploads");
+      fs.mkdirSync(path.join(root, "2021", "04"), { recursive: true });
+      fs.mkdirSync(path.join(root, "2021", "05"));
+
+      await removeEmptyDirs(path.join(root, "2021", "04"), root);
+      assert.deepStrictEqual(fs.readdirSync(path.join(root, "2021")), ["05"]);
+
+      await removeEmptyDirs(path.join(root, "2021", "05"), root);
+      assert.deepStrictEqual(fs.readdirSync(root), []);
+    });
+  });
+}
+
+main();
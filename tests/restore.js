@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+
+/**
+ * Checks for the selective restore helpers (lib/restore.js)
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  parseCsv,
+  readDeleteLog,
+  createRestoreFilter,
+} = require("../lib/restore");
+const { check } = require("./helpers");
+
+async function main() {
+  console.log("Selective restore");
+  console.log("=================");
+
+  await check("CSV fields with commas, quotes and newlines", () => {
+    assert.deepStrictEqual(
+      parseCsv('a,"b,c","say ""hi""","two\nlines"\r\n1,,3,\n'),
+      [
+        ["a", "b,c", 'say "hi"', "two\nlines"],
+        ["1", "", "3", ""],
+      ]
+    );
+    assert.deepStrictEqual(parseCsv("x,y"), [["x", "y"]]);
+  });
+
+  await check(
+    "delete log paths relative to uploads, and its backup",
+    async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "wp-oic-test-"));
+      const uploads = path.join(dir, "uploads");
+      const csvPath = path.join(dir, "log.csv");
+      fs.writeFileSync(
+        csvPath,
+        [
+          "timestamp,operation,file_path,file_size_bytes,file_size_formatted,dimensions,base_name,status,error_message,blog_id",
+          `"t","BACKUP_CREATED","/site/backups/wp-oic-2021.zip","2","","","","SUCCESS","Backup created with 2 files",""`,
+          `"t","FILE_DELETED","${uploads}/2021/04/a, b-150x150.jpg","1","","","","SUCCESS","",""`,
+          `"t","FILE_DELETE_FAILED","${uploads}/2021/04/c.jpg","1","","","","ERROR","",""`,
+          `"t","FILE_DELETED","/elsewhere/uploads/2021/04/d.jpg","1","","","","SUCCESS","",""`,
+          "",
+        ].join("\n")
+      );
+      try {
+        const { paths, outside, backup } = await readDeleteLog(
+          csvPath,
+          uploads
+        );
+        assert.deepStrictEqual([...paths], ["2021/04/a, b-150x150.jpg"]);
+        assert.strictEqual(outside, 1);
+        assert.strictEqual(backup, "/site/backups/wp-oic-2021.zip");
+      } finally {
+        fs.rmSync(dir, { recursive: true });
+      }
+    }
+  );
+
+  await check("files that are not logs are refused", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "wp-oic-test-"));
+    const csvPath = path.join(dir, "other.csv");
+    fs.writeFileSync(csvPath, "name,size\na.jpg,1\n");
+    try {
+      await assert.rejects(
+        readDeleteLog(csvPath, dir),
+        /is not a wp-oic CSV log/
+      );
+    } finally {
+      fs.rmSync(dir, { recursive: true });
+    }
+  });
+
+  await check("filters combine", () => {
+    const files = [
+      { path: "2021/04/hero-1024x576.jpg", baseName: "hero" },
+      { path: "2021/04/hero-150x150.jpg", baseName: "hero" },
+      { path: "2021/05/hero-150x150.jpg", baseName: "hero" },
+      { path: "2021/04/report-pdf-300x212.jpg", baseName: "report" },
+      { path: "sites/2/2021/04/hero-150x150.jpg", baseName: "hero" },
+    ];
+    const pick = (filters) =>
+      files.filter(createRestoreFilter(filters)).map((file) => file.path);
+
+    assert.strictEqual(createRestoreFilter({}), null);
+    assert.deepStrictEqual(pick({ month: "2021/04", baseName: "hero" }), [
+      "2021/04/hero-1024x576.jpg",
+      "2021/04/hero-150x150.jpg",
+    ]);
+    assert.deepStrictEqual(pick({ only: "*-150x150.jpg", month: "2021/05" }), [
+      "2021/05/hero-150x150.jpg",
+    ]);
+    assert.deepStrictEqual(pick({ baseName: "report-pdf" }), [
+      "2021/04/report-pdf-300x212.jpg",
+    ]);
+    assert.deepStrictEqual(
+      pick({ paths: new Set(["sites/2/2021/04/hero-150x150.jpg"]) }),
+      ["sites/2/2021/04/hero-150x150.jpg"]
+    );
+  });
+}
+
+main();
@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+
+/**
+ * Checks for the variant rule registry (lib/rules.js)
+ */
+
+const assert = require("assert");
+const {
+  compileRule,
+  createRuleSet,
+  matchRule,
+  expandParents,
+} = require("../lib/rules");
+const { check } = require("./helpers");
+
+/**
+ * Name of the rule a file name matches (null = not a generated file)
+ */
+function ruleFor(rules, filename) {
+  const match = matchRule(rules, filename);
+  return match ? match.rule.name : null;
+}
+
+console.log("Variant rules");
+console.log("=============");
+
+const builtin = createRuleSet();
+
+check("built-in rules classify WordPress file names", () => {
+  assert.strictEqual(ruleFor(builtin, "photo-300x200.jpg"), "size");
+  assert.strictEqual(ruleFor(builtin, "photo-scaled.jpg"), "scaled");
+  assert.strictEqual(ruleFor(builtin, "photo-e1690000000.jpg"), "edited");
+  assert.strictEqual(ruleFor(builtin, "photo.jpg.webp"), "nextgen-sibling");
+  assert.strictEqual(ruleFor(builtin, "photo.webp"), "nextgen-replaced");
+  assert.strictEqual(ruleFor(builtin, "report-pdf.jpg"), "preview");
+  assert.strictEqual(ruleFor(builtin, "report-pdf-1.jpg"), "preview");
+});
+
+check("scaled and edited sizes get their own rules", () => {
+  const cases = {
+    "photo-scaled-300x200.jpg": "scaled-size",
+    "photo-e1690000000-300x200.jpg": "edited-size",
+    "photo-scaled-e1690000000-300x200.jpg": "scaled-edited-size",
+    "photo-300x200.jpg.webp": "nextgen-size",
+    "photo-scaled-300x200.jpg.webp": "nextgen-scaled-size",
+    "photo-e1690000000-300x200.png.avif": "nextgen-edited-size",
+    "photo-scaled-e1690000000-300x200.jpg.webp": "nextgen-scaled-edited-size",
+  };
+  Object.entries(cases).forEach(([filename, rule]) => {
+    assert.strictEqual(ruleFor(builtin, filename), rule, filename);
+  });
+  assert.strictEqual(
+    matchRule(builtin, "photo-scaled-e1690000000-300x200.jpg").groups.stem,
+    "photo-scaled-e1690000000"
+  );
+});
+
+check("originals match no rule", () => {
+  assert.strictEqual(ruleFor(builtin, "photo.jpg"), null);
+  assert.strictEqual(ruleFor(builtin, "my-mov.jpg"), null);
+  assert.strictEqual(ruleFor(builtin, "photo-300x200-optimized.jpg"), null);
+});
+
+check("size groups", () => {
+  const { groups } = matchRule(builtin, "photo-300x200.jpg");
+  assert.deepStrictEqual(groups, {
+    stem: "photo",
+    width: "300",
+    height: "200",
+    ext: ".jpg",
+  });
+});
+
+check("custom rules run before the built-in ones", () => {
+  const rules = createRuleSet([
+    {
+      name: "optimized",
+      pattern: "^(?<stem>.+)-optimized(?<ext>\\.jpg)$",
+      parents: ["{stem}{ext}"],
+    },
+  ]);
+  const match = matchRule(rules, "photo-300x200-optimized.jpg");
+  assert.strictEqual(match.rule.name, "optimized");
+  assert.strictEqual(match.rule.type, "copy");
+  assert.deepStrictEqual(
+    expandParents(match.rule, match.groups, { baseName: "photo" }),
+    ["photo-300x200.jpg"]
+  );
+});
+
+check("a custom rule with a built-in name replaces it", () => {
+  const rules = createRuleSet([
+    {
+      name: "preview",
+      type: "preview",
+      pattern: "^(?<stem>.+-pdf)(?<ext>\\.jpg)$",
+    },
+  ]);
+  assert.strictEqual(rules.filter((rule) => rule.name === "preview").length, 1);
+  assert.strictEqual(ruleFor(rules, "report-pdf-1.jpg"), null);
+});
+
+check("invalid rules are rejected", () => {
+  assert.throws(() => compileRule({ pattern: "x" }, "test"), /missing name/);
+  assert.throws(
+    () => compileRule({ name: "a", pattern: "^(?<stem>.+)$" }, "test"),
+    /\(\?<ext>\.\.\.\) group/
+  );
+  assert.throws(
+    () =>
+      compileRule(
+        { name: "a", pattern: "^(?<stem>.+)(?<ext>\\.jpg)$" },
+        "test"
+      ),
+    /need parents/
+  );
+  assert.throws(
+    () =>
+      compileRule(
+        {
+          name: "a",
+          pattern: "^(?<stem>.+)(?<ext>\\.jpg)$",
+          parents: ["{nope}"],
+        },
+        "test"
+      ),
+    /unknown placeholder \{nope\}/
+  );
+  assert.throws(
+    () => compileRule({ name: "a", pattern: "(" }, "test"),
+    /bad pattern/
+  );
+});
@@ -0,0 +1,283 @@
+#!/usr/bin/env node
+
+/**
+ * Checks for the orphan decisions of a dry run (app.js)
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadConfig } = require("../lib/config");
+const { OrphanedImageCleaner } = require("../app");
+const { check } = require("./helpers");
+
+/**
+ * Serialize a value the way PHP's serialize() does (strings, numbers, objects)
+ */
+function serialize(value) {
+  if (typeof value === "number") return `i:${value};`;
+  if (typeof value === "string") {
+    return `s:${Buffer.byteLength(value)}:"${value}";`;
+  }
+  const entries = Object.entries(value);
+  return `a:${entries.length}:{${entries
+    .map(([key, item]) => serialize(key) + serialize(item))
+    .join("")}}`;
+}
+
+/**
+ * SQL dump with one attachment per { id, file, sizes: [file names] }
+ */
+function createDump(attachments) {
+  let metaId = 1;
+  const rows = attachments.flatMap(({ id, file, sizes = [] }) => {
+    const metadata = {
+      file,
+      sizes: Object.fromEntries(
+        sizes.map((size, index) => [`size-${index}`, { file: size }])
+      ),
+    };
+    return [
+      `(${metaId++},${id},'_wp_attached_file','${file}')`,
+      `(${metaId++},${id},'_wp_attachment_metadata','${serialize(metadata)}')`,
+    ];
+  });
+  return `INSERT INTO \`wp_postmeta\` VALUES ${rows.join(",")};\n`;
+}
+
+/**
+ * Dry run against a temporary uploads tree
+ * files: uploads-relative paths, dump: attachments for createDump(),
+ * sizes: registered sizes for --stale-sizes, args: extra flags
+ * Returns the uploads-relative paths the scan flagged, kept and protected,
+ * and the parent candidates checked for each flagged file name.
+ */
+async function dryRun(files, { dump, sizes, args = [] } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "wp-oic-test-"));
+  const uploads = path.join(dir, "uploads");
+  const flags = ["--dry-run", "--uploads", uploads, "--logs", dir, ...args];
+
+  for (const file of files) {
+    fs.mkdirSync(path.dirname(path.join(uploads, file)), { recursive: true });
+    fs.writeFileSync(path.join(uploads, file), "image");
+  }
+  if (dump) {
+    fs.writeFileSync(path.join(dir, "site.sql"), createDump(dump));
+    flags.push("--db-dump", path.join(dir, "site.sql"));
+  }
+  if (sizes) {
+    fs.writeFileSync(path.join(dir, "sizes.json"), JSON.stringify(sizes));
+    flags.push("--stale-sizes", "--sizes", path.join(dir, "sizes.json"));
+  }
+
+  const { argv } = process;
+  const { log, warn } = console;
+  process.argv = [argv[0], "app.js", ...flags];
+  console.log = console.warn = () => {};
+  try {
+    const cleaner = new OrphanedImageCleaner(loadConfig(flags, dir));
+    await cleaner.run();
+    const paths = (list) =>
+      list.map((file) => file.relativePath.split(path.sep).join("/")).sort();
+    return {
+      orphans: paths(cleaner.orphanedFiles),
+      kept: paths(cleaner.metadataFiles),
+      protected: paths(cleaner.protectedFiles),
+      candidates: Object.fromEntries(
+        cleaner.orphanedFiles.map((file) => [
+          file.filename,
+          file.parentCandidates,
+        ])
+      ),
+    };
+  } finally {
+    process.argv = argv;
+    console.log = log;
+    console.warn = warn;
+    fs.rmSync(dir, { recursive: true });
+  }
+}
+
+async function main() {
+  console.log("Orphan decisions");
+  console.log("================");
+
+  await check(
+    "sizes listed in attachment metadata are never stale",
+    async () => {
+      const result = await dryRun(
+        [
+          "2021/04/photo.jpg",
+          "2021/04/photo-300x200.jpg",
+          "2021/04/photo-150x90.jpg",
+          "2021/04/photo-123x45.jpg",
+        ],
+        {
+          dump: [
+            {
+              id: 10,
+              file: "2021/04/photo.jpg",
+              sizes: ["photo-300x200.jpg", "photo-150x90.jpg"],
+            },
+          ],
+          sizes: { medium: { width: 300, height: 300, crop: false } },
+        }
+      );
+      assert.deepStrictEqual(result.orphans, ["2021/04/photo-123x45.jpg"]);
+      assert.deepStrictEqual(result.kept, ["2021/04/photo-150x90.jpg"]);
+    }
+  );
+
+  await check("only exact parent names count", async () => {
+    const result = await dryRun([
+      "2021/04/photo-300x200.jpg",
+      "2021/04/photo-gallery.jpg",
+      "2021/04/photo2.jpg",
+    ]);
+    assert.deepStrictEqual(result.orphans, ["2021/04/photo-300x200.jpg"]);
+    assert.ok(result.candidates["photo-300x200.jpg"].includes("photo.jpg"));
+    assert.ok(result.candidates["photo-300x200.jpg"].includes("photo.jpeg"));
+  });
+
+  await check("parents match extension aliases and any case", async () => {
+    const result = await dryRun([
+      "2021/04/IMG_1234.JPG",
+      "2021/04/IMG_1234-150x150.jpg",
+      "2021/04/pic.jpeg",
+      "2021/04/pic-150x150.jpg",
+      "2021/04/logo.png",
+      "2021/04/logo-150x150.webp",
+    ]);
+    assert.deepStrictEqual(result.orphans, []);
+  });
+
+  await check(
+    "-scaled and edited main files keep the chain alive",
+    async () => {
+      const result = await dryRun([
+        "2021/04/photo-scaled.jpg",
+        "2021/04/photo-300x200.jpg",
+        "2021/04/photo-scaled-1024x683.jpg",
+        "2021/04/edit-e1690000000.jpg",
+        "2021/04/edit-e1690000000-300x200.jpg",
+        "2021/04/lone-scaled-300x200.jpg",
+      ]);
+      assert.deepStrictEqual(result.orphans, [
+        "2021/04/lone-scaled-300x200.jpg",
+      ]);
+      assert.deepStrictEqual(result.protected, [
+        "2021/04/edit-e1690000000.jpg",
+        "2021/04/photo-scaled.jpg",
+      ]);
+    }
+  );
+
+  await check("--aggressive-parents only accepts the original", async () => {
+    const result = await dryRun(
+      [
+        "2021/04/photo-scaled.jpg",
+        "2021/04/photo-300x200.jpg",
+        "2021/04/kept.jpg",
+        "2021/04/kept-scaled.jpg",
+      ],
+      { args: ["--aggressive-parents"] }
+    );
+    assert.deepStrictEqual(result.orphans, [
+      "2021/04/photo-300x200.jpg",
+      "2021/04/photo-scaled.jpg",
+    ]);
+    assert.deepStrictEqual(result.protected, []);
+  });
+
+  await check("WebP/AVIF copies of missing originals", async () => {
+    const result = await dryRun([
+      "2021/04/photo.jpg.webp",
+      "2021/04/photo.jpg.avif",
+      "2021/04/other-300x200.jpg.webp",
+      "2021/04/gone.webp",
+      "2021/04/gone-300x200.jpg",
+      "2021/04/kept.jpg",
+      "2021/04/kept.jpg.webp",
+      "2021/04/kept.avif",
+      "2021/04/kept-300x200.avif",
+      "2021/04/uploaded.webp",
+    ]);
+    assert.deepStrictEqual(result.orphans, [
+      "2021/04/gone-300x200.jpg",
+      "2021/04/gone.webp",
+      "2021/04/other-300x200.jpg.webp",
+      "2021/04/photo.jpg.avif",
+      "2021/04/photo.jpg.webp",
+    ]);
+  });
+
+  await check("previews and their sizes follow the document", async () => {
+    const files = [
+      "2021/04/report.pdf",
+      "2021/04/report-pdf.jpg",
+      "2021/04/report-pdf-300x212.jpg",
+      "2021/04/gone-pdf.jpg",
+      "2021/04/old-pdf-300x212.jpg",
+      "2021/04/clip-mp4.jpg",
+    ];
+    const dump = [{ id: 10, file: "2021/04/report.pdf" }];
+    const result = await dryRun(files, { dump });
+    assert.deepStrictEqual(result.orphans, [
+      "2021/04/clip-mp4.jpg",
+      "2021/04/gone-pdf.jpg",
+      "2021/04/old-pdf-300x212.jpg",
+    ]);
+
+    // Previews an attachment lists are kept
+    dump.push({ id: 11, file: "2021/04/gone-pdf.jpg" });
+    assert.deepStrictEqual((await dryRun(files, { dump })).orphans, [
+      "2021/04/clip-mp4.jpg",
+      "2021/04/old-pdf-300x212.jpg",
+    ]);
+  });
+
+  await check("images with preview-like names keep their sizes", async () => {
+    const result = await dryRun([
+      "2021/04/flyer-pdf.jpg",
+      "2021/04/flyer-pdf-300x200.jpg",
+      "2021/04/my-mov.jpg",
+      "2021/04/my-mov-150x150.jpg",
+    ]);
+    assert.deepStrictEqual(result.orphans, []);
+    // Without a dump, only the database could tell flyer.pdf's preview apart
+    assert.deepStrictEqual(result.protected, ["2021/04/flyer-pdf.jpg"]);
+  });
+
+  await check(
+    "unattached originals are media files in month folders",
+    async () => {
+      const result = await dryRun(
+        [
+          "debug.log",
+          "sitemap.xml",
+          "logo.png",
+          "wp-oic-2024-01-15T10-30-00.zip",
+          "2021/04/notes.txt",
+          "2021/04/.htaccess",
+          "2021/04/photo.jpg",
+          "2021/04/photo-300x200.jpg",
+          "2021/04/stray.jpg",
+          "2021/04/stray-150x150.jpg",
+          "2021/04/manual.pdf",
+        ],
+        {
+          dump: [{ id: 10, file: "2021/04/photo.jpg" }],
+          args: ["--orphaned-originals"],
+        }
+      );
+      assert.deepStrictEqual(result.orphans, [
+        "2021/04/manual.pdf",
+        "2021/04/stray-150x150.jpg",
+        "2021/04/stray.jpg",
+      ]);
+    }
+  );
+}
+
+main();
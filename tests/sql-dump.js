@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+
+/**
+ * Checks for the SQL dump reader (lib/sql-dump.js)
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { parseTableName, readDumpRows } = require("../lib/sql-dump");
+const { check } = require("./helpers");
+
+/**
+ * Write a dump to a temporary file and collect the rows of the given tables
+ */
+async function readRows(sql, tables = ["postmeta"], tablePrefix = null) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "wp-oic-test-"));
+  const filePath = path.join(dir, "dump.sql");
+  fs.writeFileSync(filePath, sql);
+  try {
+    const rows = [];
+    await readDumpRows(
+      filePath,
+      tables,
+      (target, record) => rows.push({ ...target, ...record }),
+      tablePrefix
+    );
+    return rows;
+  } finally {
+    fs.rmSync(dir, { recursive: true });
+  }
+}
+
+async function main() {
+  console.log("SQL dump reader");
+  console.log("===============");
+
+  await check("backslash escapes in strings", async () => {
+    const rows = await readRows(
+      "INSERT INTO `wp_postmeta` VALUES (1,10,'_wp_attached_file','2021/04/it\\'s.jpg'),(2,11,'k','a\\nb\\\\c');\n"
+    );
+    assert.strictEqual(rows[0].meta_value, "2021/04/it's.jpg");
+    assert.strictEqual(rows[1].meta_value, "a\nb\\c");
+  });
+
+  await check("doubled '' quotes in strings", async () => {
+    const rows = await readRows(
+      "INSERT INTO `wp_postmeta` VALUES (1,10,'_wp_attached_file','2021/04/o''neil.jpg');\n"
+    );
+    assert.strictEqual(rows[0].meta_value, "2021/04/o'neil.jpg");
+  });
+
+  await check("multi-row INSERT over several lines", async () => {
+    const rows = await readRows(
+      "INSERT INTO `wp_postmeta` VALUES (1,10,'a','x'),(2,11,'b','y'),\n(3,12,'c',NULL);\n"
+    );
+    assert.deepStrictEqual(
+      rows.map((row) => [row.meta_id, row.post_id, row.meta_value]),
+      [
+        ["1", "10", "x"],
+        ["2", "11", "y"],
+        ["3", "12", null],
+      ]
+    );
+  });
+
+  await check("separators inside strings do not end rows", async () => {
+    const rows = await readRows(
+      "INSERT INTO `wp_postmeta` VALUES (1,10,'k','a;b),(c');\n"
+    );
+    assert.strictEqual(rows.length, 1);
+    assert.strictEqual(rows[0].meta_value, "a;b),(c");
+  });
+
+  await check("column lists and _binary introducers", async () => {
+    const rows = await readRows(
+      "INSERT INTO `wp_postmeta` (`post_id`, `meta_key`, `meta_value`, `meta_id`) VALUES (20,'k',_binary 'x.jpg',6);\n"
+    );
+    assert.strictEqual(rows[0].post_id, "20");
+    assert.strictEqual(rows[0].meta_value, "x.jpg");
+    assert.strictEqual(rows[0].meta_id, "6");
+  });
+
+  await check("comments and other statements are skipped", async () => {
+    const rows = await readRows(
+      [
+        "-- MySQL dump",
+        "# comment with 'quote",
+        "/*!40101 SET NAMES utf8mb4 */;",
+        "CREATE TABLE `wp_postmeta` (`meta_value` longtext DEFAULT 'a;b');",
+        "INSERT INTO `wp_options` VALUES (1,'siteurl','http://example.test','yes');",
+        "INSERT INTO `wp_postmeta` VALUES (1,10,'k','v');",
+        "",
+      ].join("\n")
+    );
+    assert.strictEqual(rows.length, 1);
+    assert.strictEqual(rows[0].meta_value, "v");
+  });
+
+  await check("multisite tables get their blog id", async () => {
+    const rows = await readRows(
+      "INSERT INTO `wp_3_postmeta` VALUES (1,10,'k','v');\nINSERT INTO `wp_yoast_indexable_postmeta` VALUES (1,10,'k','v');\n"
+    );
+    assert.strictEqual(rows.length, 1);
+    assert.strictEqual(rows[0].blogId, 3);
+    assert.strictEqual(rows[0].prefix, "wp_3_");
+  });
+
+  await check("parseTableName with a known prefix", async () => {
+    assert.deepStrictEqual(parseTableName("site_2_posts", ["posts"], "site_"), {
+      prefix: "site_2_",
+      blogId: 2,
+      table: "posts",
+    });
+    assert.strictEqual(parseTableName("wp_posts", ["posts"], "site_"), null);
+    assert.strictEqual(
+      parseTableName("wp_yoast_indexable_posts", ["posts"]),
+      null
+    );
+  });
+}
+
+main();